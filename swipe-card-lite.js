@@ -5,15 +5,110 @@
 
 const VERSION = '2.3.5';
 
+// Per-slide options handled by the carousel itself, not passed to the slide's card
+const SLIDE_OPTION_KEYS = ['id', 'visibility', 'on_enter', 'on_leave', 'tab_title', 'tab_icon'];
+
+const PAGINATION_TYPES = ['dots', 'fraction', 'progress', 'tabs'];
+
+const EFFECTS = ['slide', 'fade', 'scale', 'coverflow', 'cube'];
+
+const PAGINATION_SHAPES = ['dot', 'line', 'pill'];
+
+// 'inside' and 'below' are spelled out aliases of the overlaid default and 'outside'
+const PAGINATION_POSITIONS = { bottom: 'bottom', inside: 'bottom', top: 'top', outside: 'outside', below: 'outside' };
+
+// Sent by the editor on window with the config index of the selected slide, the editor and its config.
+// Every open preview hears it, only the one showing that editor's config follows it
+const EDITOR_SLIDE_EVENT = 'swipe-card-lite-editor-slide';
+
+// How long the first build waits for custom cards whose resources are still loading (ms)
+const CUSTOM_CARD_TIMEOUT = 2000;
+
+// Layout options a breakpoint can override
+const LAYOUT_KEYS = ['slides_per_view', 'slides_per_group', 'slide_gap', 'slide_height'];
+
+const LOOP_MODES = ['none', 'infinite', 'rewind'];
+
+// Entities the current slide can be synced with
+const STATE_ENTITY_DOMAINS = ['input_number', 'input_select', 'select', 'counter', 'input_text'];
+
+// Options that still work but have a newer spelling: key → { old value: new value }
+const DEPRECATED_VALUES = {
+  loop_mode: { loopback: 'infinite' }
+};
+
+// Top-level options and what they accept, a list means one of these values.
+// setConfig rejects invalid values, keys missing here are reported as unknown.
+const CONFIG_SCHEMA = {
+  type: 'string',
+  cards: 'list',
+  slide_template: 'mapping',
+  slide_source: 'mapping_or_list',
+  show_pagination: 'boolean',
+  pagination_type: PAGINATION_TYPES,
+  pagination_shape: PAGINATION_SHAPES,
+  pagination_position: Object.keys(PAGINATION_POSITIONS),
+  pagination_color: 'css:color',
+  pagination_active_color: 'css:color',
+  pagination_size: 'css:width',
+  start_card: 'slide',
+  loop_mode: LOOP_MODES,
+  state_entity: 'state_entity',
+  auto_hide_pagination: 'duration',
+  enable_reset_after: 'boolean',
+  reset_after_timeout: 'duration',
+  reset_target_card: 'slide',
+  slide_width: 'css:width',
+  slide_height: 'css:height',
+  slide_padding: 'css:padding',
+  slide_gap: 'css:width',
+  slides_per_view: 'count',
+  slides_per_group: 'count',
+  breakpoints: 'breakpoints',
+  show_version: 'boolean',
+  border_radius: 'css:border-radius',
+  direction: ['horizontal', 'vertical'],
+  effect: EFFECTS,
+  auto_reset_enabled_entity: 'entity',
+  autoplay: 'boolean',
+  autoplay_interval: 'duration',
+  autoplay_direction: ['forward', 'backward'],
+  autoplay_pause_on_interaction: 'boolean',
+  autoplay_enabled_entity: 'entity',
+  lazy_load: 'boolean',
+  lazy_load_distance: 'distance',
+  lazy_unload_after: 'duration',
+  aria_label: 'string',
+  mouse_drag: 'boolean',
+  mouse_wheel: 'boolean',
+  navigation: 'navigation',
+  id: 'string',
+  on_slide_change: 'mapping_or_list',
+  fire_event: 'boolean',
+  url_sync: [true, false, 'hash', 'query'],
+  remember_position: [false, 'browser'],
+  // Handled by HA for every card
+  visibility: 'list',
+  view_layout: 'mapping',
+  grid_options: 'mapping',
+  layout_options: 'mapping',
+  // Styling by the popular card-mod plugin
+  card_mod: 'mapping'
+};
+
 class SwipeCardLite extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
     this._config = null;
     this._hass = null;
-    this._cards = [];        // Real card elements
-    this._allSlideCards = []; // All cards including clones
-    this._currentIndex = 0;   // DOM index (includes clone offset)
+    this._cardElements = []; // Card elements for every configured card (visible or not)
+    this._cardElementConfigs = []; // Card configs _cardElements were built from
+    this._visibleIndices = []; // Config indices of the currently visible cards
+    this._cards = [];        // Real card elements of visible cards
+    this._allSlideCards = []; // Card of every slide, null for infinite mode edge slides (and not yet loaded lazy slides)
+    this._slideConfigIndices = []; // Config index of each slide, edge slides included
+    this._currentIndex = 0;   // DOM index (includes edge slide offset)
     this._realIndex = 0;      // Actual card index (0 to cards.length-1)
     this._initialized = false;
     this._scrollTimeout = null;
@@ -21,46 +116,141 @@ class SwipeCardLite extends HTMLElement {
     this._paginationHideTimeout = null;
     this._stateUpdateInProgress = false;
     this._buildId = 0;        // Track build attempts to prevent race conditions
+    this._rebuildPending = false; // Reconfiguration in progress, cards and elements may not match yet
     this._isInfiniteMode = false;
+    this._isRewindMode = false;
     this._jumping = false;
     this._userScrolling = false;  // Track active user scrolling to prevent sync conflicts
     this._scrollSettleTimeout = null;
     this._rafPending = false;  // RAF throttle flag for scroll handler
     this._cachedPagination = null;  // Cached pagination element
     this._cachedScroller = null;    // Cached scroller element
-    this._lastSyncedValue = null;   // Track last value synced to state entity
+    this._cachedNavButtons = [];    // Cached prev/next buttons
+    this._cachedSlides = [];        // Cached slide elements
+    this._loopOffsets = new Map();  // Infinite mode: slides shifted onto the edge slides, in slides
+    this._effectStyles = new Map(); // Last effect style written to each slide
+    this._lastSyncedValue = null;   // Track last card index synced to state entity
     this._syncedAt = 0;             // Timestamp of last sync
+    this._autoplayTimeout = null;
+    this._autoplayPaused = false;   // Paused while the user touches or hovers the card
+    this._helpers = null;
+    this._mediaQueryLists = [];     // Media queries used by screen visibility conditions
+    this._onMediaQueryChange = () => this._updateVisibility();
+    this._activeSlides = new Set(); // Lazy mode: DOM indices near the viewport
+    this._loadingSlides = new Set();
+    this._unloadTimers = new Map();
+    this._announcedIndex = null;    // Last slide announced to screen readers
+    this._activeCardIndex = null;   // Config index of the settled slide, for slide change actions
+    this._scrollActive = false;     // Between scroll-start and scroll-end events
+    this._dragging = false;         // Mouse drag in progress
+    this._wheelDelta = 0;           // Accumulated wheel delta towards the next slide
+    this._wheelLockedUntil = 0;     // Ignore wheel events until the last wheel step settles
+    this._lastWheelAt = 0;
+    this._layout = null;            // Layout options after applying breakpoints
+    this._resizeObserver = null;    // Re-evaluates breakpoints when the card width changes
+    this._configuredCards = [];     // Cards from the config, before template slides are added
+    this._sourceItemsKey = null;    // Template source items the current slides were generated from
+    this._sourceHass = null;        // hass the source items were last read from
+    this._urlListening = false;
+    this._onUrlChange = () => this._handleUrlChange();
+    this._editMode = false;         // Set by HA on dashboards in edit mode
+    this._preview = false;          // Set by HA on the card editor's preview
+    this._editorSlide = null;       // Last selection from the editor: { index, editor, config }
+    this._editor = null;            // Editor this preview follows, bound once its config matched ours
+    this._onEditorSlide = (e) => this._showEditorSlide(e.detail);
+    this._cardLayout = null;        // 'grid' in the sections view
   }
 
   setConfig(config) {
-    if (!config.cards || !Array.isArray(config.cards)) {
-      throw new Error('Please define cards');
+    if (!config.cards && !config.slide_template) {
+      throw new Error('Please define cards or a slide_template');
     }
+    // HA shows the message on its error card, so name the key that needs fixing
+    const { errors, warnings } = SwipeCardLite.validateConfig(config);
+    if (errors.length) throw new Error(errors[0]);
+    warnings.forEach(warning => console.warn('[swipe-card-lite]', warning));
 
     this._config = {
       cards: config.cards || [],
+      // Card config stamped out once per slide_source item, after the cards above
+      slide_template: config.slide_template ?? null,
+      // A plain list is a list of entities
+      slide_source: Array.isArray(config.slide_source) ? { entities: config.slide_source } : (config.slide_source ?? {}),
       show_pagination: config.show_pagination !== false,
+      pagination_type: PAGINATION_TYPES.includes(config.pagination_type) ? config.pagination_type : 'dots',
+      pagination_shape: PAGINATION_SHAPES.includes(config.pagination_shape) ? config.pagination_shape : 'dot',
+      pagination_position: PAGINATION_POSITIONS[config.pagination_position] ?? 'bottom',
+      // Set the --swipe-card-lite-pagination-* variables, overriding the theme
+      pagination_color: config.pagination_color ?? null,
+      pagination_active_color: config.pagination_active_color ?? null,
+      pagination_size: this._toCssSize(config.pagination_size),
       start_card: config.start_card ?? 1,
-      loop_mode: config.loop_mode ?? 'none',
+      loop_mode: DEPRECATED_VALUES.loop_mode[config.loop_mode] ?? config.loop_mode ?? 'none',
       state_entity: config.state_entity ?? null,
       auto_hide_pagination: config.auto_hide_pagination ?? 0,
       enable_reset_after: config.enable_reset_after ?? false,
       reset_after_timeout: config.reset_after_timeout ?? 30000,
       reset_target_card: config.reset_target_card ?? 1,
-      slide_width: config.slide_width ?? null,
-      slide_height: config.slide_height ?? null,
-      slide_padding: config.slide_padding ?? null,
-      slide_gap: config.slide_gap ?? null,
+      // Plain numbers are pixels
+      slide_width: this._toCssSize(config.slide_width),
+      slide_height: this._toCssSize(config.slide_height),
+      slide_padding: this._toCssSize(config.slide_padding),
+      slide_gap: this._toCssSize(config.slide_gap),
+      slides_per_view: config.slides_per_view ?? 1,
+      slides_per_group: config.slides_per_group ?? 1,
+      // Minimum card width in px → layout options, every matching breakpoint applies in order
+      breakpoints: config.breakpoints ?? null,
       show_version: config.show_version ?? false,
-      border_radius: config.border_radius ?? null,
+      border_radius: this._toCssSize(config.border_radius),
+      direction: config.direction === 'vertical' ? 'vertical' : 'horizontal',
+      effect: EFFECTS.includes(config.effect) ? config.effect : 'slide',
       // Entity to pause auto-reset (when 'off', auto-reset is paused)
       auto_reset_enabled_entity: config.auto_reset_enabled_entity ?? null,
+      autoplay: config.autoplay ?? false,
+      autoplay_interval: config.autoplay_interval ?? 5000,
+      autoplay_direction: config.autoplay_direction === 'backward' ? 'backward' : 'forward',
+      autoplay_pause_on_interaction: config.autoplay_pause_on_interaction !== false,
+      // Entity to pause autoplay (when 'off', autoplay is paused)
+      autoplay_enabled_entity: config.autoplay_enabled_entity ?? null,
+      lazy_load: config.lazy_load ?? false,
+      lazy_load_distance: config.lazy_load_distance ?? 1,
+      lazy_unload_after: config.lazy_unload_after ?? 0,
+      aria_label: config.aria_label ?? null,
+      mouse_drag: config.mouse_drag !== false,
+      mouse_wheel: config.mouse_wheel ?? false,
+      navigation: this._normalizeNavigation(config.navigation, config.direction === 'vertical'),
+      // Card id, used in events and to tell several carousels apart
+      id: config.id ?? null,
+      on_slide_change: config.on_slide_change ?? null,
+      fire_event: config.fire_event ?? false,
+      // Mirror the slide in the URL: 'hash' (#swipe-<id>=<slide>) or 'query' (?swipe-<id>=<slide>)
+      url_sync: config.url_sync === 'query' ? 'query' : (config.url_sync ? 'hash' : null),
+      // 'browser': every browser restores the slide it was last on
+      remember_position: config.remember_position === 'browser' ? 'browser' : null,
+      // Card size in the sections view, set by HA's layout editor
+      grid_options: config.grid_options ?? null,
     };
 
     console.log('[swipe-card-lite] setConfig called, loop_mode:', this._config.loop_mode);
 
+    this._layout = this._computeLayout();
+    this._setupResizeObserver();
+    this._setupUrlListeners();
+
+    this._configuredCards = this._config.cards;
+    this._sourceItemsKey = null;
+    this._sourceHass = null;
+    this._updateGeneratedCards();
+
+    // HA calls setConfig again with identical configs, nothing to do then
+    const configJson = JSON.stringify(config);
+    const changed = configJson !== this._configJson;
+    this._configJson = configJson;
+
     if (this._hass && !this._initialized) {
       this._buildCards();
+    } else if (this._initialized && changed) {
+      this._applyConfigChange();
     }
   }
 
@@ -68,16 +258,26 @@ class SwipeCardLite extends HTMLElement {
     const oldHass = this._hass;
     this._hass = hass;
 
-    // Pass hass to all cards including clones
+    // Pass hass to all cards
     // Use 'hass' in card check to properly detect setter, not value check
-    this._allSlideCards.forEach(card => {
-      if (card && 'hass' in card) {
-        card.hass = hass;
-      }
+    this._allSlideCards.forEach((card, domIndex) => {
+      if (!card || !('hass' in card)) return;
+      // Off-screen lazy slides catch up when they come near the viewport
+      if (this._config?.lazy_load && !this._activeSlides.has(domIndex)) return;
+      this._setCardHass(card);
     });
 
+    // Template slides follow matching entities and areas as they come and go
+    const slidesChanged = !!this._config?.slide_template && this._updateGeneratedCards();
+
     if (!this._initialized && this._config) {
       this._buildCards();
+    } else if (slidesChanged) {
+      this._applyConfigChange();
+    }
+
+    if (this._initialized && !slidesChanged && this._hasVisibilityConditions()) {
+      this._updateVisibility();
     }
 
     if (this._config?.state_entity && this._initialized && !this._stateUpdateInProgress) {
@@ -93,23 +293,354 @@ class SwipeCardLite extends HTMLElement {
         this._resetResetTimer();
       }
     }
+
+    // Start or stop autoplay when its entity toggles
+    if (this._config?.autoplay_enabled_entity && this._initialized) {
+      const entity = this._config.autoplay_enabled_entity;
+      const oldState = oldHass?.states?.[entity]?.state;
+      const newState = hass?.states?.[entity]?.state;
+      if (newState !== oldState) {
+        this._restartAutoplay();
+        // Auto-reset takes over again once autoplay stops
+        if (newState !== 'on') this._resetResetTimer();
+      }
+    }
+  }
+
+  // navigation: true or { prev_icon, next_icon, position, auto_hide }
+  _normalizeNavigation(navigation, vertical) {
+    if (!navigation) return null;
+    const options = typeof navigation === 'object' ? navigation : {};
+    return {
+      prev_icon: options.prev_icon || (vertical ? 'mdi:chevron-up' : 'mdi:chevron-left'),
+      next_icon: options.next_icon || (vertical ? 'mdi:chevron-down' : 'mdi:chevron-right'),
+      position: options.position === 'outside' ? 'outside' : 'inside',
+      auto_hide: options.auto_hide !== false,
+    };
+  }
+
+  // Numbers are px, strings are passed through as CSS
+  _toCssSize(value) {
+    return typeof value === 'number' ? `${value}px` : (value ?? null);
+  }
+
+  // ===== Config Validation =====
+
+  // Errors make the config unusable, warnings (unknown and deprecated keys, read-only state entities) are only reported
+  static validateConfig(config) {
+    const errors = [];
+    const warnings = [];
+    const cardCount = Array.isArray(config.cards) ? config.cards.length : 0;
+
+    Object.entries(config).forEach(([key, value]) => {
+      const kind = CONFIG_SCHEMA[key];
+      if (kind === undefined) {
+        warnings.push(`Unknown option ${key}`);
+        return;
+      }
+      const replacement = DEPRECATED_VALUES[key]?.[value];
+      if (replacement !== undefined) {
+        warnings.push(`${key}: ${value} is deprecated, use ${replacement}`);
+      }
+      // Cleared in the editor
+      if (value === null || value === undefined) return;
+      const problem = SwipeCardLite._checkOption(kind, replacement ?? value, config.slide_template ? null : cardCount);
+      if (problem) errors.push(`Invalid ${key} ${JSON.stringify(value)}: ${problem}`);
+    });
+
+    // Other domains (e.g. a sensor) are followed, but swiping can't update them
+    const stateDomain = typeof config.state_entity === 'string' ? config.state_entity.split('.')[0] : null;
+    if (stateDomain && !STATE_ENTITY_DOMAINS.includes(stateDomain)) {
+      warnings.push(`state_entity ${config.state_entity} is read-only, only ${STATE_ENTITY_DOMAINS.join(', ')} follow swipes`);
+    }
+
+    // Without a filter every entity would match, which is never what anyone wants
+    if (config.slide_template) {
+      const source = config.slide_source;
+      const hasFilter = Array.isArray(source) || ['entities', 'include', 'area', 'label', 'areas'].some(key => source?.[key]);
+      if (!hasFilter) errors.push('slide_source needs entities, include, area, label or areas to generate slides from');
+    }
+
+    const ids = new Set();
+    (Array.isArray(config.cards) ? config.cards : []).forEach((card, i) => {
+      if (!card || typeof card !== 'object' || Array.isArray(card)) {
+        warnings.push(`Slide ${i + 1} is not a card config`);
+      } else if (card.id !== undefined) {
+        if (ids.has(String(card.id))) warnings.push(`Slide ${i + 1} repeats the id ${card.id}`);
+        ids.add(String(card.id));
+      }
+    });
+
+    return { errors, warnings };
+  }
+
+  // What is wrong with an option value, or null if it fits the kind. slideCount is null when unknown
+  static _checkOption(kind, value, slideCount) {
+    if (Array.isArray(kind)) {
+      return kind.includes(value) ? null : `must be one of ${kind.join(', ')}`;
+    }
+    const isMapping = typeof value === 'object' && !Array.isArray(value);
+    const isInteger = Number.isInteger(value);
+
+    if (kind.startsWith('css:')) {
+      if (typeof value === 'number') return value >= 0 ? null : 'must not be negative';
+      const property = kind.slice(4);
+      if (typeof value !== 'string') return `must be a CSS ${property}`;
+      return !window.CSS?.supports || CSS.supports(property, value) ? null : `is not a valid CSS ${property}`;
+    }
+
+    switch (kind) {
+      case 'string':
+        return typeof value === 'string' || typeof value === 'number' ? null : 'must be a string';
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+      case 'list':
+        return Array.isArray(value) ? null : 'must be a list';
+      case 'mapping':
+        return isMapping ? null : 'must be a mapping';
+      case 'mapping_or_list':
+        return typeof value === 'object' ? null : 'must be a mapping or a list';
+      case 'count':
+        return isInteger && value >= 1 ? null : 'must be a whole number of at least 1';
+      case 'distance':
+        return isInteger && value >= 0 ? null : 'must be a whole number of at least 0';
+      case 'duration':
+        return typeof value === 'number' && value >= 0 ? null : 'must be a number of milliseconds';
+      case 'slide':
+        if (!isInteger || value < 1) return 'must be a slide number starting at 1';
+        return slideCount === null || value <= slideCount ? null : `there ${slideCount === 1 ? 'is 1 card' : `are ${slideCount} cards`}`;
+      case 'entity':
+        return typeof value === 'string' && /^\w+\.\w+$/.test(value) ? null : 'must be an entity id like input_boolean.example';
+      case 'state_entity':
+        return typeof value === 'string' && /^\w+\.\w+$/.test(value) ? null : 'must be an entity id like input_number.slide';
+      case 'navigation': {
+        if (typeof value === 'boolean') return null;
+        if (!isMapping) return 'must be true, false or a mapping';
+        if (value.position !== undefined && !['inside', 'outside'].includes(value.position)) return 'position must be inside or outside';
+        return null;
+      }
+      case 'breakpoints': {
+        if (!isMapping) return 'must map a minimum card width to layout options';
+        for (const [minWidth, options] of Object.entries(value)) {
+          if (isNaN(Number(minWidth))) return `${minWidth} is not a width in px`;
+          if (!options || typeof options !== 'object') return `${minWidth} must map to layout options`;
+          for (const [key, option] of Object.entries(options)) {
+            if (!LAYOUT_KEYS.includes(key)) return `${key} can't change per breakpoint, only ${LAYOUT_KEYS.join(', ')}`;
+            const problem = SwipeCardLite._checkOption(CONFIG_SCHEMA[key], option, slideCount);
+            if (problem) return `${minWidth}.${key} ${problem}`;
+          }
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // ===== Public API =====
+
+  // Index (0-based) of the current slide among the visible slides
+  get currentIndex() {
+    return this._realIndex;
+  }
+
+  next({ smooth = true } = {}) {
+    this._goToAdjacent(1, smooth);
+  }
+
+  prev({ smooth = true } = {}) {
+    this._goToAdjacent(-1, smooth);
+  }
+
+  // Go to a slide by 0-based index or by slide id, returns false if there is no such slide or the card can't scroll
+  goTo(indexOrId, { smooth = true } = {}) {
+    if (!this._initialized) return false;
+    let index = indexOrId;
+    if (typeof indexOrId === 'string') {
+      const cardIndex = this._findSlideById(indexOrId);
+      index = cardIndex === -1 ? -1 : this._visibleIndices.indexOf(cardIndex);
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= this._cards.length) return false;
+    return this._goToRealIndex(index, smooth);
+  }
+
+  _isVertical() {
+    return this._config?.direction === 'vertical';
+  }
+
+  // ===== Layout & Pages =====
+
+  // Base layout options overridden by every breakpoint the card width reaches
+  _computeLayout() {
+    const layout = {};
+    LAYOUT_KEYS.forEach(key => { layout[key] = this._config[key]; });
+
+    const breakpoints = this._config.breakpoints || {};
+    const width = this.clientWidth;
+    Object.keys(breakpoints)
+      .map(Number)
+      .filter(minWidth => !isNaN(minWidth) && width >= minWidth)
+      .sort((a, b) => a - b)
+      .forEach(minWidth => {
+        const options = breakpoints[minWidth] || {};
+        LAYOUT_KEYS.forEach(key => {
+          if (options[key] !== undefined) layout[key] = key === 'slide_gap' || key === 'slide_height' ? this._toCssSize(options[key]) : options[key];
+        });
+      });
+
+    layout.slides_per_view = Math.max(1, parseInt(layout.slides_per_view, 10) || 1);
+    // Moving by more than a page would skip slides
+    layout.slides_per_group = Math.max(1, Math.min(parseInt(layout.slides_per_group, 10) || 1, layout.slides_per_view));
+    return layout;
+  }
+
+  _setupResizeObserver() {
+    if (!this._config?.breakpoints || !this.isConnected) {
+      this._resizeObserver?.disconnect();
+      this._resizeObserver = null;
+      return;
+    }
+    if (this._resizeObserver) return;
+    this._resizeObserver = new ResizeObserver(() => this._updateLayout());
+    this._resizeObserver.observe(this);
+  }
+
+  // Re-layout when the card width crosses a breakpoint
+  _updateLayout() {
+    if (!this._config) return;
+    const layout = this._computeLayout();
+    if (JSON.stringify(layout) === JSON.stringify(this._layout)) return;
+    this._layout = layout;
+    if (this._initialized) this._applyConfigChange();
+  }
+
+  // Last real index a page can start at, so the last page is a full one
+  _getMaxStartIndex() {
+    return Math.max(0, this._cards.length - this._layout.slides_per_view);
+  }
+
+  _getPageCount() {
+    return Math.ceil(this._getMaxStartIndex() / this._layout.slides_per_group) + 1;
+  }
+
+  // Page showing a real index, pages start every slides_per_group slides
+  _getPageIndex(realIndex) {
+    if (realIndex >= this._getMaxStartIndex()) return this._getPageCount() - 1;
+    return Math.floor(Math.max(0, realIndex) / this._layout.slides_per_group);
+  }
+
+  _getPageStart(page) {
+    return Math.min(page * this._layout.slides_per_group, this._getMaxStartIndex());
+  }
+
+  // Real index the page holding a slide starts at (the slide itself with one slide per page)
+  _toPageStart(realIndex) {
+    return this._getPageStart(this._getPageIndex(realIndex));
+  }
+
+  // Timers would move the slides away from the one being edited
+  _isEditing() {
+    return this._editMode || this._preview;
   }
 
   _isAutoResetEnabled() {
+    if (this._isEditing()) return false;
     const entity = this._config?.auto_reset_enabled_entity;
     if (!entity) return true; // No entity configured = always enabled
     const state = this._hass?.states?.[entity]?.state;
     return state === 'on';
   }
 
+  _isAutoplayEnabled() {
+    if (!this._config?.autoplay || this._isEditing()) return false;
+    const entity = this._config.autoplay_enabled_entity;
+    if (!entity) return true; // No entity configured = always enabled
+    const state = this._hass?.states?.[entity]?.state;
+    return state === 'on';
+  }
+
   get hass() {
     return this._hass;
   }
 
+  // HA sets 'grid' in the sections view, the card then fills the grid cell it is given
+  set layout(layout) {
+    this._cardLayout = layout ?? null;
+    this.toggleAttribute('grid', layout === 'grid');
+    // Slides that adapt to the grid (e.g. tile) get to know too
+    this._cardElements.forEach(card => {
+      if (card) card.layout = layout;
+    });
+  }
+
+  get layout() {
+    return this._cardLayout;
+  }
+
+  set editMode(editMode) {
+    this._editMode = !!editMode;
+    this._updateEditingTimers();
+  }
+
+  get editMode() {
+    return this._editMode;
+  }
+
+  set preview(preview) {
+    this._preview = !!preview;
+    this._updateEditingTimers();
+  }
+
+  get preview() {
+    return this._preview;
+  }
+
+  // Stop the timers when editing starts, start them again once it ends
+  _updateEditingTimers() {
+    if (!this._initialized) return;
+    if (this._resetTimeout) clearTimeout(this._resetTimeout);
+    this._resetResetTimer();
+    this._restartAutoplay();
+  }
+
+  // Real index of the slide selected in the editor, -1 outside the preview
+  _getEditorSlideIndex() {
+    const selection = this._editorSlide;
+    if (!this._preview || selection === null) return -1;
+    // Edits change the config later on, so the editor is remembered rather than matched every time
+    if (selection.editor !== this._editor) {
+      if (selection.config !== this._configJson) return -1;
+      this._editor = selection.editor;
+    }
+    return this._visibleIndices.indexOf(selection.index);
+  }
+
+  _showEditorSlide(selection) {
+    // Another carousel's editor, e.g. two carousels in a stack
+    if (this._editor && selection.editor !== this._editor) return;
+    this._editorSlide = selection;
+    // A pending rebuild picks the slide up itself
+    if (!this._initialized || this._rebuildPending) return;
+    const index = this._getEditorSlideIndex();
+    if (index !== -1 && this._toPageStart(index) !== this._realIndex) {
+      this._goToRealIndex(index, true);
+    }
+  }
+
   connectedCallback() {
+    this._setupResizeObserver();
+    this._setupUrlListeners();
+    window.addEventListener(EDITOR_SLIDE_EVENT, this._onEditorSlide);
     if (this._config?.enable_reset_after) {
       this._resetResetTimer();
     }
+    if (this._initialized) {
+      // Detached scrollers lose their scroll offset
+      this._goToRealIndex(this._realIndex, false);
+      this._restartAutoplay();
+      this._setupMediaQueryListeners();
+      this._updateVisibility();
+    }
   }
 
   disconnectedCallback() {
@@ -117,9 +648,14 @@ class SwipeCardLite extends HTMLElement {
     if (this._paginationHideTimeout) clearTimeout(this._paginationHideTimeout);
     if (this._scrollTimeout) clearTimeout(this._scrollTimeout);
     if (this._scrollSettleTimeout) clearTimeout(this._scrollSettleTimeout);
-    // Clear cached element references
-    this._cachedPagination = null;
-    this._cachedScroller = null;
+    this._stopAutoplay();
+    this._teardownMediaQueryListeners();
+    this._resizeObserver?.disconnect();
+    this._resizeObserver = null;
+    this._teardownUrlListeners();
+    window.removeEventListener(EDITOR_SLIDE_EVENT, this._onEditorSlide);
+    this._clearUnloadTimers();
+    // Cached elements stay, HA attaches the same card again on every view switch
     this._rafPending = false;
   }
 
@@ -133,64 +669,453 @@ class SwipeCardLite extends HTMLElement {
     if (this._initialized) return;
 
     const helpers = await this._loadCardHelpers();
+    this._helpers = helpers;
 
     // Check if another build started while we were waiting
     if (thisBuildId !== this._buildId) return;
 
-    // Build real cards
-    this._cards = [];
-    for (const cardConfig of this._config.cards) {
-      try {
-        const card = await helpers.createCardElement(cardConfig);
-        card.hass = this._hass;
-        this._cards.push(card);
-      } catch (e) {
-        console.error('Error creating card:', e);
-        const errorCard = document.createElement('ha-card');
-        errorCard.innerHTML = `<div style="padding: 16px; color: var(--error-color);">Error: ${e.message}</div>`;
-        this._cards.push(errorCard);
+    // Build real cards (hidden ones too, so they can appear without a rebuild)
+    // Lazy mode creates them once their slide comes near the viewport
+    const cardConfigs = this._config.cards;
+    if (!this._config.lazy_load) {
+      await this._waitForCustomCards(cardConfigs);
+      if (thisBuildId !== this._buildId) return;
+    }
+    const cardElements = [];
+    for (const cardConfig of cardConfigs) {
+      cardElements.push(this._config.lazy_load ? null : await this._createCard(helpers, cardConfig));
+    }
+
+    // Check if build was superseded
+    if (thisBuildId !== this._buildId) return;
+    this._cardElements = cardElements;
+    this._cardElementConfigs = cardConfigs;
+
+    this._visibleIndices = this._computeVisibleIndices();
+    this._buildSlides();
+
+    this._render();
+    this._initialized = true;
+    this._setupMediaQueryListeners();
+
+    // A deep link wins over the state entity, which would otherwise pull the card back
+    if (this._config.url_sync && this._getUrlIndex() !== -1) this._syncToStateEntity();
+
+    // Start pagination auto-hide timer if configured
+    if (this._config.auto_hide_pagination > 0) {
+      this._startPaginationHideTimer();
+    }
+
+    this._restartAutoplay();
+  }
+
+  // Reconfigure a built carousel in place (visual editor preview)
+  async _applyConfigChange() {
+    const thisBuildId = ++this._buildId;
+    this._rebuildPending = true;
+    const helpers = this._helpers || await this._loadCardHelpers();
+    this._helpers = helpers;
+    if (thisBuildId !== this._buildId) return;
+
+    // Remember the current card so we can stay on it, even if it moved
+    const currentCard = this._cards[this._realIndex];
+    const previousRealIndex = this._realIndex;
+
+    // Reuse elements whose card config didn't change (by content, so reordering is free)
+    const available = new Map();
+    this._cardElementConfigs.forEach((cardConfig, i) => {
+      const element = this._cardElements[i];
+      if (!element) return;
+      const key = this._getCardKey(cardConfig);
+      if (!available.has(key)) available.set(key, []);
+      available.get(key).push(element);
+    });
+
+    const cardConfigs = this._config.cards;
+    if (!this._config.lazy_load) {
+      await this._waitForCustomCards(cardConfigs);
+      if (thisBuildId !== this._buildId) return;
+    }
+    const cardElements = [];
+    for (const cardConfig of cardConfigs) {
+      const reused = available.get(this._getCardKey(cardConfig))?.shift();
+      if (reused) {
+        cardElements.push(reused);
+      } else {
+        cardElements.push(this._config.lazy_load ? null : await this._createCard(helpers, cardConfig));
       }
     }
 
     // Check if build was superseded
     if (thisBuildId !== this._buildId) return;
+    this._cardElements = cardElements;
+    this._cardElementConfigs = cardConfigs;
+
+    this._visibleIndices = this._computeVisibleIndices();
+    this._buildSlides();
+
+    let realIndex = this._getEditorSlideIndex();
+    if (realIndex === -1) realIndex = currentCard ? this._cards.indexOf(currentCard) : -1;
+    if (realIndex === -1) realIndex = Math.min(previousRealIndex, this._cards.length - 1);
+
+    // Layout, pagination and loop mode all live in the rendered markup
+    this._render(Math.max(0, realIndex));
+    this._rebuildPending = false;
+    this._setupMediaQueryListeners();
+
+    // Timers may have been switched on, off or changed
+    if (this._resetTimeout) clearTimeout(this._resetTimeout);
+    this._resetResetTimer();
+    if (this._config.auto_hide_pagination > 0) {
+      this._startPaginationHideTimer();
+    } else {
+      this._showPagination();
+    }
+    this._restartAutoplay();
+  }
+
+  _getCardKey(cardConfig) {
+    return JSON.stringify(this._getCardConfig(cardConfig || {}));
+  }
+
+  // Build the slide list from the visible cards, adding edge slides for infinite mode
+  _buildSlides() {
+    this._cards = this._visibleIndices.map(i => this._cardElements[i]);
 
     // Check if infinite mode
     const loopMode = this._config.loop_mode;
-    this._isInfiniteMode = (loopMode === 'infinite' || loopMode === 'loopback') && this._cards.length > 1;
+    const scrollable = this._getPageCount() > 1;
+    const infinite = loopMode === 'infinite' && scrollable;
+    // Edge slides stand in for a single slide, so several slides per view rewind instead
+    const multipleSlides = this._layout.slides_per_view > 1;
+    this._isInfiniteMode = infinite && !multipleSlides;
+    // Rewind wraps around by scrolling back, without edge slides
+    this._isRewindMode = (loopMode === 'rewind' && scrollable) || (infinite && multipleSlides);
 
     console.log('[swipe-card-lite] loop_mode:', loopMode, 'isInfiniteMode:', this._isInfiniteMode, 'cards:', this._cards.length);
 
-    // Build clone cards for infinite mode
     this._allSlideCards = [...this._cards];
+    this._slideConfigIndices = [...this._visibleIndices];
 
     if (this._isInfiniteMode) {
-      // Create clone of last card (will go at beginning)
-      const lastCardConfig = this._config.cards[this._config.cards.length - 1];
-      const cloneOfLast = await helpers.createCardElement(lastCardConfig);
-      cloneOfLast.hass = this._hass;
+      // Empty edge slides before the first and after the last card. Instead of duplicating
+      // cards, the last/first card is shifted onto them while they are in view
+      const firstIndex = this._visibleIndices[0];
+      const lastIndex = this._visibleIndices[this._visibleIndices.length - 1];
+      this._slideConfigIndices = [lastIndex, ...this._visibleIndices, firstIndex];
+      this._allSlideCards = [null, ...this._cards, null];
+    }
+  }
+
+  async _createCard(helpers, cardConfig) {
+    try {
+      const card = await helpers.createCardElement(this._getCardConfig(cardConfig));
+      card.hass = this._hass;
+      if (this._cardLayout) card.layout = this._cardLayout;
+      // HA's error card for a custom card that isn't defined yet asks for this once it is
+      card.addEventListener('ll-rebuild', (e) => {
+        // Only this slide needs rebuilding, not the whole carousel
+        e.stopPropagation();
+        this._rebuildCard(card);
+      }, { once: true });
+      return card;
+    } catch (e) {
+      console.error('[swipe-card-lite] Error creating card:', e);
+      const errorCard = await this._createErrorCard(helpers, e.message, cardConfig);
+      // Try again when a missing custom card shows up
+      const tag = this._getCustomElementName(cardConfig);
+      if (tag) customElements.whenDefined(tag).then(() => this._rebuildCard(errorCard));
+      return errorCard;
+    }
+  }
+
+  // ===== Late Card Loading =====
+
+  // Custom card resources may still be loading (right after an HA restart). Give them a moment,
+  // the ones that take longer are rebuilt in place once they are defined.
+  async _waitForCustomCards(cardConfigs) {
+    const pending = [...new Set(cardConfigs.map(cardConfig => this._getCustomElementName(cardConfig)))]
+      .filter(tag => tag && !customElements.get(tag));
+    if (!pending.length) return;
+    await Promise.race([
+      Promise.all(pending.map(tag => customElements.whenDefined(tag))),
+      new Promise(resolve => setTimeout(resolve, CUSTOM_CARD_TIMEOUT))
+    ]);
+  }
+
+  _getCustomElementName(cardConfig) {
+    const type = cardConfig?.type;
+    return typeof type === 'string' && type.startsWith('custom:') ? type.slice('custom:'.length) : null;
+  }
+
+  // Replace one card with a freshly created one, leaving the other slides and the position alone
+  async _rebuildCard(oldCard) {
+    const configIndex = this._cardElements.indexOf(oldCard);
+    if (configIndex === -1 || !this._helpers) return;
+
+    const card = await this._createCard(this._helpers, this._cardElementConfigs[configIndex]);
+    // Unloaded or replaced by a config change meanwhile
+    if (this._cardElements[configIndex] !== oldCard) return;
+
+    this._cardElements[configIndex] = card;
+    const realIndex = this._cards.indexOf(oldCard);
+    if (realIndex !== -1) this._cards[realIndex] = card;
+    const domIndex = this._allSlideCards.indexOf(oldCard);
+    if (domIndex !== -1) this._allSlideCards[domIndex] = card;
+    if (oldCard.parentNode) oldCard.replaceWith(card);
+  }
+
+  // HA's own error card in place of a broken slide, the other slides keep working
+  async _createErrorCard(helpers, message, cardConfig) {
+    try {
+      const errorCard = await helpers.createCardElement({ type: 'error', error: message, origConfig: cardConfig });
+      errorCard.hass = this._hass;
+      return errorCard;
+    } catch (e) {
+      const errorCard = document.createElement('ha-card');
+      const text = document.createElement('div');
+      text.style.cssText = 'padding: 16px; color: var(--error-color);';
+      text.textContent = `Error: ${message}`;
+      errorCard.appendChild(text);
+      return errorCard;
+    }
+  }
+
+  // A card throwing on a hass update must not keep the other slides from theirs
+  _setCardHass(card) {
+    try {
+      card.hass = this._hass;
+    } catch (e) {
+      console.error('[swipe-card-lite] Error updating card:', e);
+    }
+  }
+
+  // Strip carousel-only keys before handing a slide config to HA
+  _getCardConfig(slideConfig) {
+    const cardConfig = { ...slideConfig };
+    SLIDE_OPTION_KEYS.forEach(key => delete cardConfig[key]);
+    return cardConfig;
+  }
+
+  // ===== Slide Visibility =====
 
-      // Create clone of first card (will go at end)
-      const firstCardConfig = this._config.cards[0];
-      const cloneOfFirst = await helpers.createCardElement(firstCardConfig);
-      cloneOfFirst.hass = this._hass;
+  _hasVisibilityConditions() {
+    return this._config.cards.some(card => Array.isArray(card?.visibility) && card.visibility.length > 0);
+  }
 
-      // Array: [cloneOfLast, ...realCards, cloneOfFirst]
-      this._allSlideCards = [cloneOfLast, ...this._cards, cloneOfFirst];
+  _computeVisibleIndices() {
+    const indices = [];
+    this._config.cards.forEach((card, i) => {
+      const conditions = card?.visibility;
+      if (!Array.isArray(conditions) || conditions.every(c => this._checkCondition(c))) {
+        indices.push(i);
+      }
+    });
+    return indices;
+  }
 
-      console.log('[swipe-card-lite] Created clones, total slides:', this._allSlideCards.length);
+  // Same condition kinds as HA's conditional card and card visibility
+  _checkCondition(condition) {
+    if (!condition) return true;
+    const states = this._hass?.states || {};
+    const kind = condition.condition || 'state'; // Legacy conditions have no 'condition' key
+    const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+    switch (kind) {
+      case 'state': {
+        const state = states[condition.entity]?.state ?? 'unavailable';
+        if (condition.state !== undefined) return toArray(condition.state).map(String).includes(state);
+        if (condition.state_not !== undefined) return !toArray(condition.state_not).map(String).includes(state);
+        return true;
+      }
+      case 'numeric_state': {
+        const value = parseFloat(states[condition.entity]?.state);
+        if (isNaN(value)) return false;
+        if (condition.above !== undefined && !(value > Number(condition.above))) return false;
+        if (condition.below !== undefined && !(value < Number(condition.below))) return false;
+        return true;
+      }
+      case 'user':
+        return toArray(condition.users || []).includes(this._hass?.user?.id);
+      case 'screen':
+        return !condition.media_query || window.matchMedia(condition.media_query).matches;
+      case 'and':
+        return (condition.conditions || []).every(c => this._checkCondition(c));
+      case 'or':
+        return (condition.conditions || []).some(c => this._checkCondition(c));
+      default:
+        console.warn('[swipe-card-lite] Unknown visibility condition:', kind);
+        return true;
     }
+  }
 
-    // Final check before rendering
-    if (thisBuildId !== this._buildId) return;
+  _getMediaQueries(conditions, queries = new Set()) {
+    (conditions || []).forEach(condition => {
+      if (condition?.condition === 'screen' && condition.media_query) queries.add(condition.media_query);
+      if (condition?.conditions) this._getMediaQueries(condition.conditions, queries);
+    });
+    return queries;
+  }
 
-    this._render();
-    this._initialized = true;
+  _setupMediaQueryListeners() {
+    this._teardownMediaQueryListeners();
+    const queries = new Set();
+    this._config.cards.forEach(card => this._getMediaQueries(card?.visibility, queries));
+    this._mediaQueryLists = [...queries].map(query => {
+      const mql = window.matchMedia(query);
+      mql.addEventListener('change', this._onMediaQueryChange);
+      return mql;
+    });
+  }
 
-    // Start pagination auto-hide timer if configured
-    if (this._config.auto_hide_pagination > 0) {
-      this._startPaginationHideTimer();
+  _teardownMediaQueryListeners() {
+    this._mediaQueryLists.forEach(mql => mql.removeEventListener('change', this._onMediaQueryChange));
+    this._mediaQueryLists = [];
+  }
+
+  // Re-evaluate visibility conditions and rebuild the carousel if the visible set changed
+  _updateVisibility() {
+    if (!this._initialized || !this._helpers) return;
+    // A pending rebuild for changed cards evaluates visibility itself
+    if (this._rebuildPending) return;
+
+    const visibleIndices = this._computeVisibleIndices();
+    if (visibleIndices.join(',') === this._visibleIndices.join(',')) return;
+
+    // Supersede any build still in progress
+    this._buildId++;
+
+    // Stay on the same card if it is still visible, otherwise on the same position
+    const currentConfigIndex = this._visibleIndices[this._realIndex];
+    this._visibleIndices = visibleIndices;
+    let realIndex = visibleIndices.indexOf(currentConfigIndex);
+    if (realIndex === -1) realIndex = Math.min(this._realIndex, visibleIndices.length - 1);
+
+    // Hidden cards don't receive hass updates, catch up before showing them
+    visibleIndices.forEach(i => {
+      const card = this._cardElements[i];
+      if (card && 'hass' in card) this._setCardHass(card);
+    });
+
+    this._buildSlides();
+
+    this._render(Math.max(0, realIndex));
+    if (this._config.auto_hide_pagination > 0) this._startPaginationHideTimer();
+    this._restartAutoplay();
+  }
+
+  // ===== Slide Templates =====
+
+  // Regenerate the template slides from the current source items, returns true if they changed
+  _updateGeneratedCards() {
+    if (!this._config.slide_template) return false;
+    if (this._hass && !this._sourceChanged()) return false;
+    const items = this._hass ? this._getSourceItems() : [];
+    const itemsKey = JSON.stringify(items);
+    if (itemsKey === this._sourceItemsKey) return false;
+    this._sourceItemsKey = itemsKey;
+
+    const template = this._config.slide_template;
+    this._config.cards = [
+      ...this._configuredCards,
+      ...items.map(item => ({
+        // Generated slides can be addressed by their entity or area
+        id: item.entity ?? item.area,
+        ...this._applyTemplate(template, item)
+      }))
+    ];
+    return true;
+  }
+
+  // Source items only change with the set of entities or the registries, not with state updates
+  _sourceChanged() {
+    const hass = this._hass;
+    const previous = this._sourceHass;
+    this._sourceHass = hass;
+    if (!previous) return true;
+    if (hass.areas !== previous.areas || hass.entities !== previous.entities || hass.devices !== previous.devices) return true;
+    if (hass.states === previous.states) return false;
+    let count = 0;
+    for (const id in hass.states) {
+      if (!(id in previous.states)) return true;
+      count++;
+    }
+    return count !== Object.keys(previous.states).length;
+  }
+
+  // Entities ({ entity, area, name }) or areas ({ area, name }) selected by slide_source
+  _getSourceItems() {
+    const source = this._config.slide_source;
+    const hass = this._hass;
+    const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+    if (source.areas) {
+      const areas = Object.values(hass.areas || {});
+      if (source.areas === true) {
+        return areas
+          .map(area => ({ area: area.area_id, name: area.name }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+      }
+      return toArray(source.areas)
+        .map(id => areas.find(area => area.area_id === id))
+        .filter(Boolean)
+        .map(area => ({ area: area.area_id, name: area.name }));
+    }
+
+    // Listed entities keep their order, the rest is sorted by entity id
+    let entityIds = source.entities
+      ? toArray(source.entities).filter(id => hass.states[id])
+      : Object.keys(hass.states).sort();
+
+    // Entity id globs, * matches anything
+    const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const toPattern = (glob) => new RegExp(`^${String(glob).split('*').map(escape).join('.*')}$`);
+    if (source.include) {
+      const patterns = toArray(source.include).map(toPattern);
+      entityIds = entityIds.filter(id => patterns.some(pattern => pattern.test(id)));
+    }
+    if (source.exclude) {
+      const patterns = toArray(source.exclude).map(toPattern);
+      entityIds = entityIds.filter(id => !patterns.some(pattern => pattern.test(id)));
+    }
+    if (source.area) {
+      const areas = toArray(source.area);
+      entityIds = entityIds.filter(id => areas.includes(this._getEntityArea(id)));
+    }
+    if (source.label) {
+      const labels = toArray(source.label);
+      entityIds = entityIds.filter(id => (hass.entities?.[id]?.labels || []).some(label => labels.includes(label)));
+    }
+
+    return entityIds.map(id => ({
+      entity: id,
+      area: this._getEntityArea(id),
+      name: hass.states[id].attributes?.friendly_name || id
+    }));
+  }
+
+  // Entities inherit their device's area unless they have their own
+  _getEntityArea(entityId) {
+    const entry = this._hass.entities?.[entityId];
+    if (!entry) return null;
+    return entry.area_id || this._hass.devices?.[entry.device_id]?.area_id || null;
+  }
+
+  // Substitute {{ entity }}, {{ area }} and {{ name }} in every string of the template
+  _applyTemplate(template, item) {
+    if (typeof template === 'string') {
+      return template.replace(/\{\{\s*(entity|area|name)\s*\}\}/g, (_, key) => item[key] ?? '');
+    }
+    if (Array.isArray(template)) return template.map(value => this._applyTemplate(value, item));
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, this._applyTemplate(value, item)]));
     }
+    return template;
+  }
+
+  // Map a 1-based configured card number (start_card, state entity, ...) to a visible slide index
+  _toVisibleIndex(cardNumber) {
+    return this._visibleIndices.indexOf(cardNumber - 1);
   }
 
   async _loadCardHelpers() {
@@ -209,22 +1134,76 @@ class SwipeCardLite extends HTMLElement {
     };
   }
 
-  _render() {
-    const showPagination = this._config.show_pagination && this._cards.length > 1;
-
-    // Calculate initial position before rendering
-    let startRealIndex = Math.max(0, (this._config.start_card || 1) - 1);
-    if (this._config.state_entity && this._hass?.states[this._config.state_entity]) {
-      const stateValue = this._hass.states[this._config.state_entity].state;
-      const entityIndex = parseInt(stateValue, 10);
-      if (!isNaN(entityIndex) && entityIndex >= 1 && entityIndex <= this._cards.length) {
-        startRealIndex = entityIndex - 1;
-      }
+  // Initial position: URL, state entity, remembered position, then start_card, then the first visible card
+  _getInitialIndex() {
+    const editorIndex = this._getEditorSlideIndex();
+    if (editorIndex !== -1) return editorIndex;
+    if (this._config.url_sync) {
+      const urlIndex = this._getUrlIndex();
+      if (urlIndex !== -1) return urlIndex;
     }
+    const entity = this._config.state_entity;
+    if (entity && this._hass?.states[entity]) {
+      const configIndex = this._stateToCardIndex(entity, this._hass.states[entity]);
+      const entityIndex = configIndex === -1 ? -1 : this._visibleIndices.indexOf(configIndex);
+      if (entityIndex !== -1) return entityIndex;
+    }
+    if (this._config.remember_position) {
+      const rememberedIndex = this._getRememberedIndex();
+      if (rememberedIndex !== -1) return rememberedIndex;
+    }
+    return Math.max(0, this._toVisibleIndex(this._config.start_card || 1));
+  }
+
+  _render(startRealIndex = this._getInitialIndex()) {
+    const pageCount = this._getPageCount();
+    const showPagination = this._config.show_pagination && pageCount > 1;
+    // Dots and tabs are a tablist controlling the slides, fraction and progress only show the position
+    const hasTablist = showPagination && !['fraction', 'progress'].includes(this._config.pagination_type);
+
+    // Only page starts are reachable with several slides per view
+    startRealIndex = this._toPageStart(startRealIndex);
     this._realIndex = startRealIndex;
+    // The elements that paused autoplay are replaced, their leave events never come
+    this._autoplayPaused = false;
     let startDomIndex = this._isInfiniteMode ? startRealIndex + 1 : startRealIndex;
     this._currentIndex = startDomIndex;
 
+    const vertical = this._isVertical();
+    const paginationType = this._config.pagination_type;
+    // Arrows only make sense with something to navigate to
+    const navigation = pageCount > 1 ? this._config.navigation : null;
+
+    const effect = this._getEffect();
+
+    // Pagination theming: --swipe-card-lite-pagination-* variables with theme-aware fallbacks
+    const dotColor = 'var(--swipe-card-lite-pagination-color, rgba(var(--rgb-primary-text-color, 255, 255, 255), 0.5))';
+    const activeColor = 'var(--swipe-card-lite-pagination-active-color, var(--primary-text-color, rgba(255, 255, 255, 0.95)))';
+    const dotSize = 'var(--swipe-card-lite-pagination-size, 6px)';
+    const dotShadow = 'var(--swipe-card-lite-pagination-shadow, 0 1px 2px rgba(0, 0, 0, 0.3))';
+    const offset = 'var(--swipe-card-lite-pagination-offset, 12px)';
+    const paginationPosition = this._config.pagination_position;
+    // Overlaid at the bottom (right side in vertical mode) or at the top (left side),
+    // 'outside' is placed by .pagination-outside so tabs keep their own layout
+    let paginationPlacement = '';
+    if (paginationPosition !== 'outside') {
+      paginationPlacement = vertical
+        ? `${paginationPosition === 'top' ? 'left' : 'right'}: ${offset}; top: 50%; transform: translateY(-50%);`
+        : `${paginationPosition}: ${offset}; left: 50%; transform: translateX(-50%);`;
+    }
+
+    // A fixed number of grid rows gives the card a height to fill, 'auto' sizes it by content
+    const gridRows = this._config.grid_options?.rows ?? this.getGridOptions().rows;
+    const fillGridCell = typeof gridRows === 'number';
+
+    const layout = this._layout;
+    const perView = layout.slides_per_view;
+    const perGroup = layout.slides_per_group;
+    // Slides in view share the viewport, minus the gaps between them
+    const slideBasis = perView > 1
+      ? `calc((100% - ${perView - 1} * ${layout.slide_gap || '0px'}) / ${perView})`
+      : (vertical ? '100%' : (this._config.slide_width || '100%'));
+
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -233,11 +1212,16 @@ class SwipeCardLite extends HTMLElement {
           isolation: isolate;
           /* Contain layout/paint to isolate from rest of page */
           contain: layout style;
+          ${this._config.pagination_color ? `--swipe-card-lite-pagination-color: ${this._config.pagination_color};` : ''}
+          ${this._config.pagination_active_color ? `--swipe-card-lite-pagination-active-color: ${this._config.pagination_active_color};` : ''}
+          ${this._config.pagination_size ? `--swipe-card-lite-pagination-size: ${this._config.pagination_size};` : ''}
         }
         .scroll-container {
           display: flex;
-          overflow-x: auto;
-          overflow-y: hidden;
+          flex-direction: ${vertical ? 'column' : 'row'};
+          ${vertical ? `height: ${layout.slide_height || '250px'};` : ''}
+          overflow-x: ${vertical ? 'hidden' : 'auto'};
+          overflow-y: ${vertical ? 'auto' : 'hidden'};
           scroll-snap-type: none; /* Disabled initially */
           scroll-behavior: auto;
           -webkit-overflow-scrolling: touch;
@@ -246,32 +1230,56 @@ class SwipeCardLite extends HTMLElement {
           will-change: scroll-position;
           transform: translateZ(0);
           /* Tell browser exactly what touch gestures to expect */
-          touch-action: pan-x;
+          touch-action: ${vertical ? 'pan-y' : 'pan-x'};
           /* Prevent scroll chaining to parent elements */
-          overscroll-behavior-x: contain;
+          overscroll-behavior-${vertical ? 'y' : 'x'}: contain;
         }
         .scroll-container.snap-enabled {
-          scroll-snap-type: x mandatory;
+          scroll-snap-type: ${vertical ? 'y' : 'x'} mandatory;
+        }
+        .scroll-container.dragging {
+          cursor: grabbing;
+          user-select: none;
+          -webkit-user-select: none;
         }
         .scroll-container::-webkit-scrollbar {
           display: none;
         }
         .slide {
-          flex: 0 0 ${this._config.slide_width || '100%'};
-          width: ${this._config.slide_width || '100%'};
-          ${this._config.slide_height ? `height: ${this._config.slide_height};` : 'min-height: 100px;'}
-          ${this._config.slide_padding ? `padding: ${this._config.slide_padding}; box-sizing: border-box;` : ''}
-          scroll-snap-align: start;
+          /* In vertical mode slide_height sizes the viewport, slides fill it */
+          flex: 0 0 ${slideBasis};
+          width: ${vertical ? (this._config.slide_width || '100%') : slideBasis};
+          ${vertical ? 'height: 100%; box-sizing: border-box;' : (layout.slide_height ? `height: ${layout.slide_height};` : 'min-height: 100px;')}
+          /* Grouped slides only snap at the first slide of each page */
+          scroll-snap-align: ${perGroup > 1 ? 'none' : 'start'};
           scroll-snap-stop: always;
-          ${this._config.border_radius ? `border-radius: ${this._config.border_radius}; overflow: hidden;` : ''}
-          ${this._config.slide_gap ? `margin-right: ${this._config.slide_gap};` : ''}
+          ${layout.slide_gap ? `margin-${vertical ? 'bottom' : 'right'}: ${layout.slide_gap};` : ''}
           /* Promote each slide to its own compositing layer */
           will-change: transform;
         }
+        ${perGroup > 1 ? `
+        .slide:nth-child(${perGroup}n + 1) {
+          scroll-snap-align: start;
+        }
+        /* The last page may start mid-group, snap it by its end */
+        .slide:last-child {
+          scroll-snap-align: end;
+        }
+        ` : ''}
         .slide:last-child {
           margin-right: 0;
+          margin-bottom: 0;
+        }
+        /* Effects transform the content, so the slides keep their snap positions */
+        .slide-content {
+          width: 100%;
+          height: 100%;
+          box-sizing: border-box;
+          ${this._config.slide_padding ? `padding: ${this._config.slide_padding};` : ''}
+          ${this._config.border_radius ? `border-radius: ${this._config.border_radius}; overflow: hidden;` : ''}
+          ${effect !== 'slide' ? 'will-change: transform, opacity; backface-visibility: hidden;' : ''}
         }
-        .slide > * {
+        .slide-content > * {
           width: 100%;
           height: 100%;
         }
@@ -279,12 +1287,11 @@ class SwipeCardLite extends HTMLElement {
           display: ${showPagination ? 'flex' : 'none'};
           justify-content: center;
           align-items: center;
-          gap: 6px;
-          padding: 6px 10px;
+          flex-direction: ${vertical && paginationPosition !== 'outside' ? 'column' : 'row'};
+          gap: var(--swipe-card-lite-pagination-gap, 6px);
+          padding: ${vertical ? '10px 6px' : '6px 10px'};
           position: absolute;
-          bottom: 12px;
-          left: 50%;
-          transform: translateX(-50%);
+          ${paginationPlacement}
           z-index: 10;
           pointer-events: none;
           /* No background by default - just dots */
@@ -301,27 +1308,217 @@ class SwipeCardLite extends HTMLElement {
         }
         .pagination.scrolling {
           /* Frosted pill appears while swiping */
-          background: rgba(255, 255, 255, 0.18);
-          backdrop-filter: blur(16px);
-          -webkit-backdrop-filter: blur(16px);
-          border-color: rgba(255, 255, 255, 0.1);
+          background: var(--swipe-card-lite-pagination-background, rgba(var(--rgb-card-background-color, 255, 255, 255), 0.3));
+          backdrop-filter: blur(var(--swipe-card-lite-pagination-blur, 16px));
+          -webkit-backdrop-filter: blur(var(--swipe-card-lite-pagination-blur, 16px));
+          border-color: rgba(var(--rgb-primary-text-color, 255, 255, 255), 0.1);
         }
+        .pagination.pagination-outside {
+          position: static;
+          width: fit-content;
+          margin: calc(${offset} / 2) auto 0;
+          pointer-events: auto;
+        }
+        /* Below the slides there is nothing to stand out from */
+        .pagination.pagination-outside.scrolling {
+          background: transparent;
+          backdrop-filter: none;
+          -webkit-backdrop-filter: none;
+          border-color: transparent;
+        }
+        ${vertical ? '' : `.carousel.nav-outside .pagination-outside {
+          flex: 0 0 100%;
+          box-sizing: border-box;
+        }`}
         .pagination-dot {
-          width: 6px;
-          height: 6px;
+          display: block;
+          padding: 0;
+          border: none;
+          width: ${dotSize};
+          height: ${dotSize};
           border-radius: 50%;
-          background: rgba(255, 255, 255, 0.5);
+          background: ${dotColor};
           cursor: pointer;
           pointer-events: auto;
-          box-shadow: 0 1px 2px rgba(0, 0, 0, 0.3);
+          box-shadow: ${dotShadow};
           /* Smooth transitions */
-          transition: background-color 0.2s ease, transform 0.2s ease, opacity 0.2s ease, filter 0.2s ease;
+          transition: background-color 0.2s ease, transform 0.2s ease, opacity 0.2s ease, filter 0.2s ease, width 0.2s ease, height 0.2s ease;
         }
         .pagination-dot.active {
-          background: rgba(255, 255, 255, 0.95);
+          background: ${activeColor};
           transform: scale(1.2);
         }
-        .version-overlay {
+        .pagination.shape-line .pagination-dot {
+          ${vertical ? 'width' : 'height'}: max(2px, calc(${dotSize} / 2));
+          ${vertical ? 'height' : 'width'}: calc(${dotSize} * 3);
+          border-radius: ${dotSize};
+        }
+        .pagination.shape-pill .pagination-dot.active {
+          ${vertical ? 'height' : 'width'}: calc(${dotSize} * 3);
+          border-radius: ${dotSize};
+        }
+        .pagination.shape-line .pagination-dot.active,
+        .pagination.shape-pill .pagination-dot.active {
+          transform: none;
+        }
+        .pagination-fraction {
+          font-size: 12px;
+          font-weight: 500;
+          line-height: 1;
+          color: ${activeColor};
+          text-shadow: 0 1px 2px rgba(0, 0, 0, 0.5);
+          font-variant-numeric: tabular-nums;
+        }
+        .pagination-progress {
+          position: relative;
+          ${vertical && paginationPosition !== 'outside' ? `width: max(2px, calc(${dotSize} / 2)); height: 60px;` : `width: 60px; height: max(2px, calc(${dotSize} / 2));`}
+          border-radius: 3px;
+          overflow: hidden;
+          background: ${dotColor};
+          box-shadow: ${dotShadow};
+        }
+        .pagination-progress-bar {
+          position: absolute;
+          inset: 0;
+          background: ${activeColor};
+          transform-origin: ${vertical && paginationPosition !== 'outside' ? 'top' : 'left'};
+          /* Driven per frame while scrolling, no transition needed */
+          will-change: transform;
+        }
+        .pagination.pagination-tabs {
+          display: ${showPagination ? 'flex' : 'none'};
+          position: static;
+          transform: none;
+          flex-direction: row;
+          justify-content: flex-start;
+          gap: 4px;
+          padding: 0 0 8px;
+          overflow-x: auto;
+          scrollbar-width: none;
+          border: none;
+          border-radius: 0;
+          pointer-events: auto;
+        }
+        .pagination.pagination-tabs.scrolling {
+          background: transparent;
+          backdrop-filter: none;
+          -webkit-backdrop-filter: none;
+        }
+        .pagination-tab {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          flex: 0 0 auto;
+          padding: 6px 12px;
+          border: none;
+          border-radius: 100px;
+          background: transparent;
+          color: var(--secondary-text-color);
+          font: inherit;
+          font-size: 14px;
+          cursor: pointer;
+          white-space: nowrap;
+          --mdc-icon-size: 18px;
+          transition: background-color 0.2s ease, color 0.2s ease;
+        }
+        .pagination-tab.active {
+          color: var(--primary-color);
+          background: rgba(var(--rgb-primary-color, 3, 169, 244), 0.12);
+        }
+        .carousel.nav-outside {
+          display: flex;
+          flex-direction: ${vertical ? 'column' : 'row'};
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 4px;
+        }
+        .carousel.nav-outside .pagination-tabs {
+          flex: 0 0 100%;
+        }
+        .carousel.nav-outside .scroll-container {
+          flex: 1 1 auto;
+          ${vertical ? 'width: 100%;' : 'min-width: 0;'}
+        }
+        ${fillGridCell ? `
+        /* Sections view: fill the grid cell, slide_height is relative to it */
+        :host([grid]) {
+          height: 100%;
+        }
+        :host([grid]) .carousel {
+          display: flex;
+          flex-direction: column;
+          height: 100%;
+        }
+        :host([grid]) .carousel.nav-outside {
+          flex-direction: ${vertical ? 'column' : 'row'};
+          align-content: stretch;
+        }
+        :host([grid]) .scroll-container {
+          flex: 1 1 0;
+          min-height: 0;
+          ${vertical ? 'height: auto;' : 'align-self: stretch;'}
+        }
+        :host([grid]) .slide {
+          height: ${layout.slide_height || '100%'};
+          min-height: 0;
+        }
+        ` : ''}
+        .nav-button {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          flex: 0 0 auto;
+          width: 36px;
+          height: 36px;
+          padding: 0;
+          border: none;
+          border-radius: 50%;
+          cursor: pointer;
+          color: var(--primary-text-color);
+          background: transparent;
+          --mdc-icon-size: 24px;
+          transition: opacity 0.3s ease-out, background 0.2s ease;
+        }
+        .nav-button:hover {
+          background: rgba(127, 127, 127, 0.2);
+        }
+        .carousel:not(.nav-outside) .nav-button {
+          position: absolute;
+          z-index: 10;
+          color: rgba(255, 255, 255, 0.95);
+          background: rgba(0, 0, 0, 0.3);
+          ${vertical ? 'left: 50%; transform: translateX(-50%);' : 'top: 50%; transform: translateY(-50%);'}
+        }
+        .carousel:not(.nav-outside) .nav-button.prev {
+          ${vertical ? 'top: 8px;' : 'left: 8px;'}
+        }
+        .carousel:not(.nav-outside) .nav-button.next {
+          ${vertical ? 'bottom: 8px;' : 'right: 8px;'}
+        }
+        .nav-button:disabled,
+        .nav-button.hidden {
+          opacity: 0;
+          pointer-events: none;
+        }
+        .scroll-container:focus-visible,
+        .nav-button:focus-visible,
+        .pagination-dot:focus-visible,
+        .pagination-tab:focus-visible {
+          outline: 2px solid var(--primary-color, #03a9f4);
+          outline-offset: 2px;
+        }
+        .sr-only {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          padding: 0;
+          margin: -1px;
+          overflow: hidden;
+          clip: rect(0, 0, 0, 0);
+          white-space: nowrap;
+          border: 0;
+        }
+        .version-overlay {
           position: absolute;
           top: 4px;
           right: 4px;
@@ -336,15 +1533,29 @@ class SwipeCardLite extends HTMLElement {
         }
       </style>
 
-      <div class="scroll-container" id="scroller">
-        ${this._allSlideCards.map((_, i) => `<div class="slide" data-index="${i}"></div>`).join('')}
-      </div>
+      <div class="carousel ${navigation?.position === 'outside' ? 'nav-outside' : ''}" id="carousel" role="region" aria-roledescription="carousel" aria-label="${this._escapeAttribute(this._config.aria_label || 'Slides')}">
+        ${showPagination && paginationType === 'tabs' ? this._renderPagination(startRealIndex) : ''}
+
+        ${navigation ? `
+          <button type="button" class="nav-button prev" id="nav-prev" part="nav-button nav-button-prev" aria-label="Previous slide" aria-controls="scroller">
+            <ha-icon icon="${this._escapeAttribute(navigation.prev_icon)}"></ha-icon>
+          </button>
+        ` : ''}
 
-      ${showPagination ? `
-        <div class="pagination" id="pagination">
-          ${this._cards.map((_, i) => `<div class="pagination-dot ${i === startRealIndex ? 'active' : ''}" data-index="${i}"></div>`).join('')}
+        <div class="scroll-container" id="scroller" part="scroller" tabindex="0" aria-label="Use arrow keys to change slides">
+          ${this._allSlideCards.map((_, i) => this._renderSlide(i, startDomIndex, hasTablist)).join('')}
         </div>
-      ` : ''}
+
+        ${navigation ? `
+          <button type="button" class="nav-button next" id="nav-next" part="nav-button nav-button-next" aria-label="Next slide" aria-controls="scroller">
+            <ha-icon icon="${this._escapeAttribute(navigation.next_icon)}"></ha-icon>
+          </button>
+        ` : ''}
+
+        ${showPagination && paginationType !== 'tabs' ? this._renderPagination(startRealIndex) : ''}
+
+        <div class="sr-only" id="announcer" aria-live="polite" aria-atomic="true"></div>
+      </div>
 
       ${this._config.show_version ? `<div class="version-overlay">v${VERSION}</div>` : ''}
     `;
@@ -352,19 +1563,40 @@ class SwipeCardLite extends HTMLElement {
     // Insert cards into slides
     const slides = this.shadowRoot.querySelectorAll('.slide');
     this._allSlideCards.forEach((card, i) => {
-      if (slides[i]) slides[i].appendChild(card);
+      if (slides[i] && card) slides[i].firstElementChild.appendChild(card);
     });
+    this._cachedSlides = [...slides];
+    this._loopOffsets = new Map();
+    this._effectStyles = new Map();
+
+    // Lazy mode: slide positions changed, start over from the new ones
+    this._clearUnloadTimers();
+    this._activeSlides = new Set();
+    this._loadingSlides = new Set();
+    this._updateLazySlides();
 
     const scroller = this.shadowRoot.getElementById('scroller');
     if (scroller) {
       // Set initial scroll position immediately (before snap is enabled)
+      // Ignore scroll events (including pending ones from a previous render) until positioned
+      this._jumping = true;
+      if (this._scrollTimeout) clearTimeout(this._scrollTimeout);
+
       const setInitialPosition = () => {
-        const slideWidth = this._getSlideWidth();
-        if (slideWidth > 0) {
-          scroller.scrollLeft = startDomIndex * slideWidth;
+        if (!this._allSlideCards.length) {
+          this._jumping = false;
+          return;
+        }
+        const slideSize = this._getSlideSize();
+        if (slideSize > 0) {
+          // Honour navigation requested while the slides were not laid out yet
+          this._setScrollPosition(this._currentIndex * slideSize);
+          this._updateSlideTransforms();
           // Enable scroll-snap after position is set
           requestAnimationFrame(() => {
             scroller.classList.add('snap-enabled');
+            this._jumping = false;
+            if (this._currentIndex !== startDomIndex) this._onScrollEnd();
           });
         } else {
           // Retry if not ready
@@ -389,36 +1621,268 @@ class SwipeCardLite extends HTMLElement {
       scroller.addEventListener('touchend', () => {
         if (this._config.auto_hide_pagination > 0) this._startPaginationHideTimer();
       }, { passive: true });
+
+      // Pause autoplay while the user is touching or hovering the card
+      if (this._config.autoplay && this._config.autoplay_pause_on_interaction) {
+        const pause = () => this._pauseAutoplay(true);
+        const resume = () => this._pauseAutoplay(false);
+        scroller.addEventListener('touchstart', pause, { passive: true });
+        scroller.addEventListener('touchend', resume, { passive: true });
+        scroller.addEventListener('touchcancel', resume, { passive: true });
+        // Taps send a mouseenter without a mouseleave, only a real mouse hovers
+        scroller.addEventListener('pointerenter', (e) => { if (e.pointerType === 'mouse') pause(); }, { passive: true });
+        scroller.addEventListener('pointerleave', (e) => { if (e.pointerType === 'mouse') resume(); }, { passive: true });
+      }
+
+      if (this._config.mouse_drag) this._setupMouseDrag(scroller);
+      if (this._isRewindMode) this._setupRewindGesture(scroller);
+      if (this._config.mouse_wheel) {
+        scroller.addEventListener('wheel', this._handleWheel.bind(this), { passive: false });
+      }
     }
 
     // Pagination click handlers (use real index)
-    this.shadowRoot.querySelectorAll('.pagination-dot').forEach(dot => {
-      dot.addEventListener('click', (e) => {
-        const realIndex = parseInt(e.target.dataset.index, 10);
+    this.shadowRoot.querySelectorAll('.pagination [role="tab"]').forEach(dot => {
+      dot.addEventListener('click', () => {
+        const realIndex = parseInt(dot.dataset.index, 10);
         this._goToRealIndex(realIndex, true);
       });
     });
 
+    // Previous/next arrows
+    this.shadowRoot.getElementById('nav-prev')?.addEventListener('click', () => this._goToAdjacent(-1, true));
+    this.shadowRoot.getElementById('nav-next')?.addEventListener('click', () => this._goToAdjacent(1, true));
+
+    // Keyboard navigation on the scroller and the pagination tabs
+    const carousel = this.shadowRoot.getElementById('carousel');
+
+    // Auto-hidden arrows come back when the mouse moves over the card
+    if (navigation?.auto_hide && this._config.auto_hide_pagination > 0) {
+      carousel?.addEventListener('mousemove', () => {
+        this._showPagination();
+        this._startPaginationHideTimer();
+      }, { passive: true });
+    }
+    carousel?.addEventListener('keydown', this._handleKeydown.bind(this));
+
+    // Pause autoplay while keyboard focus is inside the carousel
+    if (this._config.autoplay) {
+      // Clicks and taps focus the scroller too, that shouldn't stop a kiosk for good
+      carousel?.addEventListener('focusin', (e) => {
+        if (e.target.matches(':focus-visible')) this._pauseAutoplay(true);
+      });
+      carousel?.addEventListener('focusout', (e) => {
+        if (!carousel.contains(e.relatedTarget)) this._pauseAutoplay(false);
+      });
+    }
+    this._announcedIndex = startRealIndex;
+    this._activeCardIndex = this._visibleIndices[startRealIndex] ?? null;
+
     // Cache element references for performance
     this._cachedPagination = this.shadowRoot.getElementById('pagination');
     this._cachedScroller = this.shadowRoot.getElementById('scroller');
+    this._cachedNavButtons = [...this.shadowRoot.querySelectorAll('.nav-button')];
+    this._updateNavigation();
   }
 
-  _getSlideWidth() {
+  _renderPagination(currentIndex) {
+    const type = this._config.pagination_type;
+    const currentPage = this._getPageIndex(currentIndex);
+    const placement = `pagination-${this._config.pagination_position}`;
+
+    if (type === 'fraction') {
+      // The live region already announces slide changes
+      return `
+        <div class="pagination pagination-fraction ${placement}" id="pagination" part="pagination" aria-hidden="true">
+          <span class="pagination-fraction-text">${currentPage + 1} / ${this._getPageCount()}</span>
+        </div>
+      `;
+    }
+
+    if (type === 'progress') {
+      return `
+        <div class="pagination pagination-progress-container ${placement}" id="pagination" part="pagination" aria-hidden="true">
+          <div class="pagination-progress" part="pagination-progress">
+            <div class="pagination-progress-bar" part="pagination-progress-bar" style="transform: ${this._getProgressTransform(currentIndex)};"></div>
+          </div>
+        </div>
+      `;
+    }
+
+    const tabAttributes = (i, selected) => `data-index="${i}" role="tab" id="tab-${i}" aria-controls="slide-${this._isInfiniteMode ? i + 1 : i}" aria-selected="${selected}" tabindex="${selected ? 0 : -1}"`;
+
+    // Tabs name single slides, even when several are in view
+    if (type === 'tabs') {
+      const slideConfigs = this._visibleIndices.map(i => this._config.cards[i] || {});
+      return `
+        <div class="pagination pagination-tabs" id="pagination" part="pagination" role="tablist" aria-label="Choose slide">
+          ${slideConfigs.map((slide, i) => `
+            <button type="button" class="pagination-tab ${i === currentIndex ? 'active' : ''}" part="${this._getPaginationPart('pagination-tab', i === currentIndex)}" ${tabAttributes(i, i === currentIndex)}>
+              ${slide.tab_icon ? `<ha-icon icon="${this._escapeAttribute(slide.tab_icon)}"></ha-icon>` : ''}
+              <span>${this._escapeHtml(slide.tab_title || (slide.tab_icon ? '' : `Slide ${i + 1}`))}</span>
+            </button>
+          `).join('')}
+        </div>
+      `;
+    }
+
+    // One dot per page, pointing at the page's first slide
+    const label = this._layout.slides_per_view > 1 ? 'Page' : 'Slide';
+    const pageStarts = Array.from({ length: this._getPageCount() }, (_, page) => this._getPageStart(page));
+    return `
+      <div class="pagination ${placement} shape-${this._config.pagination_shape}" id="pagination" part="pagination" role="tablist" aria-label="Choose ${label.toLowerCase()}">
+        ${pageStarts.map((start, page) => `<button type="button" class="pagination-dot ${page === currentPage ? 'active' : ''}" part="${this._getPaginationPart('pagination-dot', page === currentPage)}" ${tabAttributes(start, page === currentPage)} aria-label="${label} ${page + 1}"></button>`).join('')}
+      </div>
+    `;
+  }
+
+  // Parts mirror the active class so ::part(pagination-dot-active) can be styled from outside
+  _getPaginationPart(name, active) {
+    return active ? `${name} ${name}-active` : name;
+  }
+
+  // Fill the progress bar up to the last slide in view, from a (fractional) real index
+  _getProgressTransform(position) {
+    const count = this._cards.length;
+    const fraction = count > 1 ? Math.max(0, Math.min(1, (position + this._layout.slides_per_view) / count)) : 1;
+    return `${this._isVertical() ? 'scaleY' : 'scaleX'}(${fraction})`;
+  }
+
+  _renderSlide(domIndex, currentDomIndex, hasTablist) {
+    // Edge slides are only there for the loop illusion, keep them away from assistive technology
+    if (this._isEdgeSlide(domIndex)) {
+      return `<div class="slide" data-index="${domIndex}" aria-hidden="true"><div class="slide-content"></div></div>`;
+    }
+    const realIndex = this._isInfiniteMode ? domIndex - 1 : domIndex;
+    return `<div class="slide" data-index="${domIndex}" id="slide-${domIndex}" part="slide" role="${hasTablist ? 'tabpanel' : 'group'}" aria-roledescription="slide" aria-label="${realIndex + 1} of ${this._cards.length}" ${!this._isInView(domIndex, currentDomIndex) ? 'aria-hidden="true"' : ''}><div class="slide-content" part="slide-content"></div></div>`;
+  }
+
+  _isEdgeSlide(domIndex) {
+    return this._isInfiniteMode && (domIndex === 0 || domIndex === this._allSlideCards.length - 1);
+  }
+
+  _isInView(domIndex, currentDomIndex = this._currentIndex) {
+    return domIndex >= currentDomIndex && domIndex < currentDomIndex + this._layout.slides_per_view;
+  }
+
+  _escapeHtml(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  _escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  }
+
+  _handleKeydown(e) {
+    // Only handle keys aimed at the carousel itself, not at inputs inside slides
+    const onScroller = e.target === this._cachedScroller;
+    const onDot = e.target.getAttribute?.('role') === 'tab';
+    if (!onScroller && !onDot) return;
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const vertical = this._isVertical();
+    const prevKeys = vertical ? ['ArrowUp', 'ArrowLeft'] : ['ArrowLeft', 'ArrowUp'];
+    const nextKeys = vertical ? ['ArrowDown', 'ArrowRight'] : ['ArrowRight', 'ArrowDown'];
+
+    if (prevKeys.includes(e.key)) {
+      this._goToAdjacent(-1, true);
+    } else if (nextKeys.includes(e.key)) {
+      this._goToAdjacent(1, true);
+    } else if (e.key === 'Home') {
+      this._goToRealIndex(0, true);
+    } else if (e.key === 'End') {
+      this._goToRealIndex(this._cards.length - 1, true);
+    } else {
+      return;
+    }
+    e.preventDefault();
+
+    // Roving focus: keep focus on the tab of the new slide
+    if (onDot) this._focusActiveDot();
+  }
+
+  _focusActiveDot() {
+    // In infinite mode the real index settles after the edge slide jump, so wait for the scroll
+    requestAnimationFrame(() => {
+      const dot = this._cachedPagination?.querySelector('[role="tab"].active');
+      dot?.focus({ preventScroll: true });
+    });
+  }
+
+  // Expose only the settled slides in view and announce them (silent while autoplay is rotating)
+  _updateSlideAccessibility() {
+    this.shadowRoot.querySelectorAll('.slide[aria-roledescription="slide"]').forEach(slide => {
+      if (this._isInView(parseInt(slide.dataset.index, 10))) {
+        slide.removeAttribute('aria-hidden');
+      } else {
+        slide.setAttribute('aria-hidden', 'true');
+      }
+    });
+
+    if (this._announcedIndex === this._realIndex) return;
+    this._announcedIndex = this._realIndex;
+    if (this._isAutoplayEnabled() && !this._autoplayPaused) return;
+    const announcer = this.shadowRoot.getElementById('announcer');
+    if (!announcer) return;
+    const count = this._cards.length;
+    const lastInView = Math.min(this._realIndex + this._layout.slides_per_view, count);
+    announcer.textContent = lastInView - this._realIndex > 1
+      ? `Slides ${this._realIndex + 1} to ${lastInView} of ${count}`
+      : `Slide ${this._realIndex + 1} of ${count}`;
+  }
+
+  _getSlideSize() {
     const slide = this.shadowRoot?.querySelector('.slide');
     if (!slide) return 0;
+    const vertical = this._isVertical();
     // With CSS gap, we need to account for gap in scroll calculations
     // Get the actual distance between slide starts by checking positions
     const slides = this.shadowRoot?.querySelectorAll('.slide');
     if (slides && slides.length > 1) {
-      return slides[1].offsetLeft - slides[0].offsetLeft;
+      return vertical
+        ? slides[1].offsetTop - slides[0].offsetTop
+        : slides[1].offsetLeft - slides[0].offsetLeft;
+    }
+    return vertical ? slide.offsetHeight : slide.offsetWidth;
+  }
+
+  // ===== Scroll Axis Helpers =====
+
+  _getScrollPosition() {
+    const scroller = this._cachedScroller;
+    if (!scroller) return 0;
+    return this._isVertical() ? scroller.scrollTop : scroller.scrollLeft;
+  }
+
+  _setScrollPosition(position) {
+    const scroller = this._cachedScroller || this.shadowRoot?.getElementById('scroller');
+    if (!scroller) return;
+    if (this._isVertical()) {
+      scroller.scrollTop = position;
+    } else {
+      scroller.scrollLeft = position;
     }
-    return slide.offsetWidth;
+  }
+
+  _scrollToPosition(position, smooth) {
+    const scroller = this._cachedScroller;
+    if (!scroller) return;
+    scroller.scrollTo({
+      [this._isVertical() ? 'top' : 'left']: position,
+      behavior: smooth ? 'smooth' : 'instant'
+    });
   }
 
   _handleScroll() {
     if (this._jumping) return;
 
+    if (!this._scrollActive) {
+      this._scrollActive = true;
+      // Report the settled slide, _realIndex may already point at a programmatic target
+      const settledIndex = this._visibleIndices.indexOf(this._activeCardIndex);
+      this._fireEvent('swipe-card-lite-scroll-start', { index: settledIndex === -1 ? this._realIndex : settledIndex });
+    }
+
     // Mark as user scrolling to prevent state sync bounce-back
     this._userScrolling = true;
     if (this._scrollSettleTimeout) clearTimeout(this._scrollSettleTimeout);
@@ -432,9 +1896,9 @@ class SwipeCardLite extends HTMLElement {
       if (this._jumping) return;
 
       // Use cached pagination element - no DOM query during scroll
+      this._setControlsHidden(false);
       const pagination = this._cachedPagination;
       if (pagination) {
-        pagination.classList.remove('hidden');
         if (!pagination.classList.contains('scrolling')) {
           pagination.classList.add('scrolling');
         }
@@ -444,17 +1908,23 @@ class SwipeCardLite extends HTMLElement {
       // Update pagination dot in real-time based on scroll position
       const scroller = this._cachedScroller;
       if (scroller) {
-        const slideWidth = this._getSlideWidth();
-        if (slideWidth > 0) {
-          const scrollPos = scroller.scrollLeft;
-          const domIndex = Math.round(scrollPos / slideWidth);
+        const slideSize = this._getSlideSize();
+        if (slideSize > 0) {
+          this._updateSlideTransforms();
+          const scrollPos = this._getScrollPosition();
+          const domIndex = Math.round(scrollPos / slideSize);
           let realIndex = this._isInfiniteMode ? domIndex - 1 : domIndex;
-          // Clamp to valid range (handle clone positions)
-          realIndex = Math.max(0, Math.min(realIndex, this._cards.length - 1));
+          // Clamp to valid range (handle edge slides and the last page)
+          realIndex = Math.max(0, Math.min(realIndex, this._getMaxStartIndex()));
           if (realIndex !== this._realIndex) {
             this._realIndex = realIndex;
             this._currentIndex = domIndex;
             this._updatePagination();
+            this._updateLazySlides();
+          }
+          // The progress bar follows the finger, not just whole slides
+          if (this._config.pagination_type === 'progress') {
+            this._updateProgress(scrollPos / slideSize - (this._isInfiniteMode ? 1 : 0));
           }
         }
       }
@@ -470,47 +1940,52 @@ class SwipeCardLite extends HTMLElement {
 
   _onScrollEnd() {
     if (this._jumping) return;
+    // Pointer is still holding the slides, the drag release scrolls and settles them
+    if (this._dragging) return;
 
     const scroller = this._cachedScroller;
     if (!scroller) return;
 
-    const slideWidth = this._getSlideWidth();
-    if (slideWidth === 0) return;
+    const slideSize = this._getSlideSize();
+    if (slideSize === 0) return;
 
-    const scrollPos = scroller.scrollLeft;
-    const exactIndex = scrollPos / slideWidth;
+    const scrollPos = this._getScrollPosition();
+    const exactIndex = scrollPos / slideSize;
     const domIndex = Math.round(exactIndex);
     this._currentIndex = domIndex;
+    this._updateLazySlides();
 
     if (this._isInfiniteMode) {
       const totalSlides = this._allSlideCards.length;
-      const lastCloneIndex = totalSlides - 1;
+      const lastEdgeIndex = totalSlides - 1;
 
-      // Only trigger clone jump if we're very close to the clone position (within 0.1 of a slide)
+      // Only trigger the jump if we're very close to the edge slide (within 0.1 of a slide)
       const tolerance = 0.1;
 
-      // Check if on clone of last card (position 0)
+      // Check if on the leading edge slide (showing the last card)
       if (exactIndex < tolerance) {
         this._jumpToSlide(this._cards.length, this._cards.length - 1);
         return;
       }
-      // Check if on clone of first card (last position)
-      else if (exactIndex > lastCloneIndex - tolerance) {
+      // Check if on the trailing edge slide (showing the first card)
+      else if (exactIndex > lastEdgeIndex - tolerance) {
         this._jumpToSlide(1, 0);
         return;
       }
       else {
-        // Normal position - calculate real index (subtract 1 for leading clone)
+        // Normal position - calculate real index (subtract 1 for leading edge slide)
         this._realIndex = domIndex - 1;
       }
     } else {
-      this._realIndex = domIndex;
+      this._realIndex = Math.min(domIndex, this._getMaxStartIndex());
     }
 
     this._updatePagination();
     this._syncToStateEntity();
+    this._onSlideSettled();
     if (this._config.enable_reset_after) this._resetResetTimer();
     if (this._config.auto_hide_pagination > 0) this._startPaginationHideTimer();
+    this._restartAutoplay();
 
     // Remove scrolling class for CarPlay blur effect
     const pagination = this._cachedPagination;
@@ -530,14 +2005,17 @@ class SwipeCardLite extends HTMLElement {
     this._jumping = true;
     this._realIndex = targetRealIndex;
     this._currentIndex = targetDomIndex;
+    this._updateLazySlides();
 
-    const slideWidth = this._getSlideWidth();
+    const slideSize = this._getSlideSize();
 
     // Temporarily disable scroll-snap for instant jump
     scroller.classList.remove('snap-enabled');
 
-    // Use scrollLeft directly for better compatibility
-    scroller.scrollLeft = targetDomIndex * slideWidth;
+    // Set scrollLeft/scrollTop directly for better compatibility
+    // and move the card back from the edge slide in the same frame
+    this._setScrollPosition(targetDomIndex * slideSize);
+    this._updateSlideTransforms();
 
     // Re-enable scroll-snap after jump
     requestAnimationFrame(() => {
@@ -546,28 +2024,180 @@ class SwipeCardLite extends HTMLElement {
         this._jumping = false;
         this._updatePagination();
         this._syncToStateEntity();
+        this._onSlideSettled();
         if (this._config.enable_reset_after) this._resetResetTimer();
         if (this._config.auto_hide_pagination > 0) this._startPaginationHideTimer();
+        this._restartAutoplay();
         // Remove scrolling class for CarPlay blur effect
         const pagination = this._cachedPagination;
         if (pagination) pagination.classList.remove('scrolling');
+        // Clear user scrolling flag, _onScrollEnd bailed out before doing so
+        if (this._scrollSettleTimeout) clearTimeout(this._scrollSettleTimeout);
+        this._scrollSettleTimeout = setTimeout(() => {
+          this._userScrolling = false;
+        }, 500);
       });
     });
   }
 
+  // Position-dependent slide styles, updated every scroll frame
+  _updateSlideTransforms() {
+    this._updateLoopSlides();
+    this._updateEffects();
+  }
+
+  // Infinite mode keeps a single instance of every card: while an edge slide is in view,
+  // the card it stands for is shifted onto it (transforms don't reconnect the card)
+  _updateLoopSlides() {
+    if (!this._isInfiniteMode) return;
+    const slideSize = this._getSlideSize();
+    const scroller = this._cachedScroller;
+    if (!slideSize || !scroller) return;
+
+    const count = this._cards.length;
+    const position = this._getScrollPosition() / slideSize;
+    const viewSize = (this._isVertical() ? scroller.clientHeight : scroller.clientWidth) / slideSize;
+    // How much of the slide at a DOM index is in view (in slides)
+    const visible = (domIndex) => Math.max(0, Math.min(position + viewSize, domIndex + 1) - Math.max(position, domIndex));
+
+    // With two cards both edge slides stand for a card next to the current one,
+    // so each card goes to whichever of its places is more in view
+    this._setLoopOffset(1, visible(count + 1) > visible(1) ? count : 0);
+    this._setLoopOffset(count, visible(0) > visible(count) ? -count : 0);
+  }
+
+  // Shift a slide by a number of slide positions (gap included)
+  _setLoopOffset(domIndex, offset) {
+    if ((this._loopOffsets.get(domIndex) || 0) === offset) return;
+    const slide = this._cachedSlides[domIndex];
+    if (!slide) return;
+    this._loopOffsets.set(domIndex, offset);
+    const axis = this._isVertical() ? 'translateY' : 'translateX';
+    slide.style.transform = offset ? `${axis}(calc(${offset} * (100% + ${this._layout.slide_gap || '0px'})))` : '';
+  }
+
+  // ===== Effects =====
+
+  // Fade and cube stack slides on top of each other, which needs one slide per view
+  _getEffect() {
+    const effect = this._config.effect;
+    if ((effect === 'fade' || effect === 'cube') && this._layout.slides_per_view > 1) return 'slide';
+    return effect;
+  }
+
+  // Scroll-driven effects from each slide's progress: 0 in place, -1/1 one slide before/after.
+  // Only transform and opacity change, so scrolling stays on the compositor
+  _updateEffects() {
+    const effect = this._getEffect();
+    if (effect === 'slide') return;
+    const slideSize = this._getSlideSize();
+    if (!slideSize) return;
+
+    const position = this._getScrollPosition() / slideSize;
+    const vertical = this._isVertical();
+    const gap = this._layout.slide_gap || '0px';
+
+    this._cachedSlides.forEach((slide, domIndex) => {
+      const content = slide.firstElementChild;
+      if (!content) return;
+      const progress = domIndex + (this._loopOffsets.get(domIndex) || 0) - position;
+      const amount = Math.min(1, Math.abs(progress));
+      const clamped = Math.max(-1, Math.min(1, progress));
+      let transform;
+      let opacity = 1;
+      let origin = '';
+
+      switch (effect) {
+        case 'fade':
+          // Hold the neighbours in the viewport and cross-fade, slides further away are invisible anyway
+          transform = amount < 1 ? `${vertical ? 'translateY' : 'translateX'}(calc(${-progress} * (100% + ${gap})))` : '';
+          opacity = 1 - amount;
+          break;
+        case 'scale':
+          transform = `scale(${1 - amount * 0.2})`;
+          opacity = 1 - amount * 0.4;
+          break;
+        case 'coverflow':
+          // Neighbours turn towards the center
+          transform = vertical
+            ? `perspective(1200px) rotateX(${clamped * 45}deg) scale(${1 - amount * 0.15})`
+            : `perspective(1200px) rotateY(${-clamped * 45}deg) scale(${1 - amount * 0.15})`;
+          break;
+        case 'cube':
+          // Each slide hinges on the edge it shares with the current one
+          transform = vertical
+            ? `perspective(1200px) rotateX(${-clamped * 90}deg)`
+            : `perspective(1200px) rotateY(${clamped * 90}deg)`;
+          origin = progress > 0 ? (vertical ? 'top' : 'left') : (vertical ? 'bottom' : 'right');
+          opacity = amount < 1 ? 1 : 0;
+          break;
+      }
+
+      // Skip style writes for slides that didn't change (most of them, far away)
+      const style = `${transform}|${opacity}|${origin}`;
+      if (this._effectStyles.get(domIndex) === style) return;
+      this._effectStyles.set(domIndex, style);
+      content.style.transform = transform;
+      content.style.opacity = opacity;
+      content.style.transformOrigin = origin;
+      // Faded out slides are still on top, let clicks through to the visible one
+      content.style.pointerEvents = effect === 'fade' && Math.abs(progress) >= 0.5 ? 'none' : '';
+    });
+  }
+
   _updatePagination() {
+    this._updateNavigation();
     const pagination = this._cachedPagination;
     if (!pagination) return;
-    const dots = pagination.querySelectorAll('.pagination-dot');
-    dots.forEach((dot, i) => dot.classList.toggle('active', i === this._realIndex));
+
+    const type = this._config.pagination_type;
+    const currentPage = this._getPageIndex(this._realIndex);
+    if (type === 'fraction') {
+      const text = pagination.querySelector('.pagination-fraction-text');
+      if (text) text.textContent = `${currentPage + 1} / ${this._getPageCount()}`;
+      return;
+    }
+    if (type === 'progress') {
+      this._updateProgress(this._realIndex);
+      return;
+    }
+
+    // Tabs follow slides, dots follow pages
+    const activeIndex = type === 'tabs' ? this._realIndex : currentPage;
+    const part = type === 'tabs' ? 'pagination-tab' : 'pagination-dot';
+    const dots = pagination.querySelectorAll('[role="tab"]');
+    dots.forEach((dot, i) => {
+      const active = i === activeIndex;
+      dot.classList.toggle('active', active);
+      dot.setAttribute('part', this._getPaginationPart(part, active));
+      dot.setAttribute('aria-selected', String(active));
+      dot.tabIndex = active ? 0 : -1;
+    });
+  }
+
+  _updateProgress(position) {
+    const bar = this._cachedPagination?.querySelector('.pagination-progress-bar');
+    if (bar) bar.style.transform = this._getProgressTransform(position);
+  }
+
+  // Hide the arrows that lead nowhere (first/last slide without a loop mode)
+  _updateNavigation() {
+    if (!this._cachedNavButtons.length) return;
+    const loops = this._isInfiniteMode || this._isRewindMode;
+    const atStart = !loops && this._realIndex <= 0;
+    const atEnd = !loops && this._realIndex >= this._getMaxStartIndex();
+    this._cachedNavButtons.forEach(button => {
+      button.disabled = button.classList.contains('prev') ? atStart : atEnd;
+    });
   }
 
+  // Returns false if there is nothing to scroll yet
   _goToRealIndex(realIndex, smooth = true) {
     const scroller = this._cachedScroller;
-    if (!scroller) return;
+    if (!scroller) return false;
 
-    // Clamp real index
-    realIndex = Math.max(0, Math.min(realIndex, this._cards.length - 1));
+    // Clamp real index to the start of its page
+    realIndex = this._toPageStart(Math.min(realIndex, this._cards.length - 1));
     this._realIndex = realIndex;
 
     // Calculate DOM index
@@ -576,21 +2206,272 @@ class SwipeCardLite extends HTMLElement {
       domIndex = realIndex + 1; // +1 for leading clone
     }
 
-    const slideWidth = this._getSlideWidth();
+    const slideSize = this._getSlideSize();
 
-    // If width is 0, DOM isn't ready - retry after a short delay
-    if (slideWidth === 0) {
+    // If size is 0, DOM isn't ready - retry after a short delay
+    if (slideSize === 0) {
       setTimeout(() => this._goToRealIndex(realIndex, smooth), 50);
-      return;
+      return true;
     }
 
-    scroller.scrollTo({
-      left: domIndex * slideWidth,
-      behavior: smooth ? 'smooth' : 'instant'
-    });
+    this._scrollToPosition(domIndex * slideSize, smooth);
 
     this._currentIndex = domIndex;
     this._updatePagination();
+    this._updateLazySlides();
+    return true;
+  }
+
+  // Move one page forward (delta = 1) or backward (delta = -1)
+  // In infinite mode this scrolls onto the edge slide, and _onScrollEnd jumps back to the real one
+  _goToAdjacent(delta, smooth = true, wrap = false) {
+    const count = this._cards.length;
+    if (count < 2) return;
+
+    if (this._isInfiniteMode) {
+      const scroller = this._cachedScroller;
+      const slideSize = this._getSlideSize();
+      if (!scroller || slideSize === 0) return;
+      const domIndex = Math.max(0, Math.min(this._currentIndex + delta, this._allSlideCards.length - 1));
+      this._currentIndex = domIndex;
+      this._scrollToPosition(domIndex * slideSize, smooth);
+      return;
+    }
+
+    const pageCount = this._getPageCount();
+    if (pageCount < 2) return;
+    let page = this._getPageIndex(this._realIndex) + delta;
+    if (page < 0 || page >= pageCount) {
+      // Rewind mode always wraps, scrolling back across all slides
+      if (!wrap && !this._isRewindMode) return;
+      page = (page + pageCount) % pageCount;
+    }
+    this._goToRealIndex(this._getPageStart(page), smooth);
+  }
+
+  // ===== Mouse Drag & Wheel =====
+
+  _setupMouseDrag(scroller) {
+    const DRAG_THRESHOLD = 5; // px before a press becomes a drag
+    let pointerId = null;
+    let startPointer = 0;
+    let startScroll = 0;
+    let samples = [];
+    let overscroll = 0; // Rewind mode: how far the drag went past the first/last slide
+
+    const axisPosition = (e) => (this._isVertical() ? e.clientY : e.clientX);
+
+    const onPointerMove = (e) => {
+      if (e.pointerId !== pointerId) return;
+      const delta = axisPosition(e) - startPointer;
+
+      if (!this._dragging) {
+        if (Math.abs(delta) < DRAG_THRESHOLD) return;
+        // Only capture once it is a real drag, so plain clicks still reach the slide's card
+        this._dragging = true;
+        scroller.setPointerCapture?.(pointerId);
+        scroller.classList.add('dragging');
+        // Snap would fight every pointer move, it comes back on release
+        scroller.classList.remove('snap-enabled');
+      }
+
+      const target = startScroll - delta;
+      this._setScrollPosition(target);
+      if (this._isRewindMode) {
+        // Positive when pulling past the first slide, negative past the last
+        const maxScroll = this._getMaxScrollPosition();
+        overscroll = target < 0 ? -target : target > maxScroll ? maxScroll - target : 0;
+        this._setRubberBand(overscroll);
+      }
+      samples.push({ position: axisPosition(e), time: e.timeStamp });
+      if (samples.length > 5) samples.shift();
+    };
+
+    const onPointerUp = (e) => {
+      if (e.pointerId !== pointerId) return;
+      pointerId = null;
+      scroller.removeEventListener('pointermove', onPointerMove);
+      scroller.removeEventListener('pointerup', onPointerUp);
+      scroller.removeEventListener('pointercancel', onPointerUp);
+
+      if (!this._dragging) {
+        // Just a click: let state sync resume like after a scroll
+        if (this._scrollSettleTimeout) clearTimeout(this._scrollSettleTimeout);
+        this._scrollSettleTimeout = setTimeout(() => {
+          this._userScrolling = false;
+        }, 500);
+        return;
+      }
+
+      this._dragging = false;
+      scroller.releasePointerCapture?.(e.pointerId);
+      scroller.classList.remove('dragging');
+      const releasedOverscroll = overscroll;
+      overscroll = 0;
+
+      // Swallow the click that follows the drag so cards under the pointer don't trigger
+      const suppressClick = (clickEvent) => {
+        clickEvent.stopPropagation();
+        clickEvent.preventDefault();
+      };
+      scroller.addEventListener('click', suppressClick, { capture: true, once: true });
+      setTimeout(() => scroller.removeEventListener('click', suppressClick, { capture: true }), 0);
+
+      // Momentum: project the release velocity forward, then snap to the nearest slide
+      const first = samples[0];
+      const last = samples[samples.length - 1];
+      const elapsed = first && last ? last.time - first.time : 0;
+      const velocity = elapsed > 0 ? (last.position - first.position) / elapsed : 0; // px per ms
+      const slideSize = this._getSlideSize();
+      if (slideSize === 0) return;
+
+      if (this._rewindFromOverscroll(releasedOverscroll)) {
+        setTimeout(() => scroller.classList.add('snap-enabled'), 400);
+        return;
+      }
+
+      // Land on the nearest page start (in infinite mode pages are single slides, edge slides included)
+      const projected = this._getScrollPosition() - velocity * 200;
+      const perGroup = this._layout.slides_per_group;
+      const maxIndex = this._isInfiniteMode ? this._allSlideCards.length - 1 : this._getMaxStartIndex();
+      let domIndex = Math.round(projected / (slideSize * perGroup)) * perGroup;
+      domIndex = Math.max(0, Math.min(domIndex, maxIndex));
+
+      this._scrollToPosition(domIndex * slideSize, true);
+      // Re-enable snap once the smooth scroll has landed on the slide
+      setTimeout(() => scroller.classList.add('snap-enabled'), 400);
+      if (this._scrollTimeout) clearTimeout(this._scrollTimeout);
+      this._scrollTimeout = setTimeout(() => this._onScrollEnd(), 450);
+    };
+
+    scroller.addEventListener('pointerdown', (e) => {
+      if (e.pointerType !== 'mouse' || e.button !== 0 || pointerId !== null) return;
+      // Leave sliders, inputs and the like to the slide's card
+      const interactive = e.composedPath().some(el => el.matches?.(
+        'input, textarea, select, [contenteditable], [role="slider"], ha-slider, ha-control-slider, ha-textfield'
+      ));
+      if (interactive) return;
+
+      pointerId = e.pointerId;
+      startPointer = axisPosition(e);
+      startScroll = this._getScrollPosition();
+      samples = [{ position: startPointer, time: e.timeStamp }];
+      scroller.addEventListener('pointermove', onPointerMove);
+      scroller.addEventListener('pointerup', onPointerUp);
+      scroller.addEventListener('pointercancel', onPointerUp);
+    });
+
+    // Native image/link dragging would swallow the pointer events
+    scroller.addEventListener('dragstart', (e) => e.preventDefault());
+  }
+
+  // ===== Rewind Loop =====
+
+  _getMaxScrollPosition() {
+    const scroller = this._cachedScroller;
+    if (!scroller) return 0;
+    return this._isVertical()
+      ? scroller.scrollHeight - scroller.clientHeight
+      : scroller.scrollWidth - scroller.clientWidth;
+  }
+
+  // Stretch the slides past the edge with diminishing returns, 0 snaps them back
+  _setRubberBand(offset) {
+    const scroller = this._cachedScroller;
+    if (!scroller) return;
+    if (!offset) {
+      if (!scroller.style.transform) return;
+      scroller.style.transition = 'transform 0.3s ease-out';
+      scroller.style.transform = '';
+      setTimeout(() => { scroller.style.transition = ''; }, 300);
+      return;
+    }
+    const damped = Math.sign(offset) * Math.min(Math.abs(offset) * 0.4, 120);
+    scroller.style.transition = '';
+    scroller.style.transform = `${this._isVertical() ? 'translateY' : 'translateX'}(${damped}px)`;
+  }
+
+  // Release a rubber-band pull: far enough past an edge rewinds to the other end
+  _rewindFromOverscroll(overscroll) {
+    const REWIND_THRESHOLD = 60; // px pulled past the edge
+    this._setRubberBand(0);
+    if (Math.abs(overscroll) < REWIND_THRESHOLD) return false;
+    this._goToRealIndex(overscroll > 0 ? this._cards.length - 1 : 0, true);
+    return true;
+  }
+
+  _setupRewindGesture(scroller) {
+    let start = null;
+    let edge = null;
+    let overscroll = 0;
+    const axisPosition = (touch) => (this._isVertical() ? touch.clientY : touch.clientX);
+
+    scroller.addEventListener('touchstart', (e) => {
+      start = null;
+      if (e.touches.length !== 1) return;
+      // Only gestures starting on a settled first/last slide can pull past the edge
+      const position = this._getScrollPosition();
+      if (position <= 1) {
+        edge = 'start';
+      } else if (position >= this._getMaxScrollPosition() - 1) {
+        edge = 'end';
+      } else {
+        return;
+      }
+      start = axisPosition(e.touches[0]);
+      overscroll = 0;
+    }, { passive: true });
+
+    scroller.addEventListener('touchmove', (e) => {
+      if (start === null) return;
+      const delta = axisPosition(e.touches[0]) - start;
+      const pulling = (edge === 'start' && delta > 0) || (edge === 'end' && delta < 0);
+      overscroll = pulling ? delta : 0;
+      this._setRubberBand(overscroll);
+    }, { passive: true });
+
+    const onTouchEnd = () => {
+      if (start === null) return;
+      start = null;
+      this._rewindFromOverscroll(overscroll);
+      overscroll = 0;
+    };
+    scroller.addEventListener('touchend', onTouchEnd, { passive: true });
+    scroller.addEventListener('touchcancel', onTouchEnd, { passive: true });
+  }
+
+  _handleWheel(e) {
+    // Vertical mode scrolls natively, horizontal wheels (touchpads) scroll natively too
+    if (this._isVertical() || Math.abs(e.deltaX) >= Math.abs(e.deltaY)) return;
+
+    const now = Date.now();
+    const direction = Math.sign(e.deltaY);
+
+    // At the ends (without a loop mode) let the page scroll instead
+    if (!this._isInfiniteMode && !this._isRewindMode) {
+      const atStart = this._realIndex === 0 && direction < 0;
+      const atEnd = this._realIndex >= this._getMaxStartIndex() && direction > 0;
+      if (atStart || atEnd) return;
+    }
+
+    e.preventDefault();
+    if (now < this._wheelLockedUntil) return;
+
+    // Normalize line/page deltas to pixels, start over after a pause
+    const scale = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 400 : 1;
+    if (now - this._lastWheelAt > 200) this._wheelDelta = 0;
+    this._lastWheelAt = now;
+    this._wheelDelta += e.deltaY * scale;
+
+    // One wheel notch (~100px) moves one slide
+    const WHEEL_THRESHOLD = 40;
+    if (Math.abs(this._wheelDelta) < WHEEL_THRESHOLD) return;
+
+    this._wheelDelta = 0;
+    this._wheelLockedUntil = now + 400;
+    this._userScrolling = true;
+    this._showPagination();
+    this._goToAdjacent(direction, true);
   }
 
   // ===== State Entity Sync =====
@@ -602,27 +2483,23 @@ class SwipeCardLite extends HTMLElement {
     // Skip sync if user is actively scrolling - prevents bounce-back from our own state updates
     if (this._userScrolling) return;
 
-    const newState = newHass?.states[entity]?.state;
-    if (!newState) return;
-
-    let targetIndex = parseInt(newState, 10);
-    if (isNaN(targetIndex)) return;
-
-    // input_number is 1-based
-    const stateValue = targetIndex;
-    if (entity.startsWith('input_number.')) {
-      targetIndex = targetIndex - 1;
-    }
+    const stateObj = newHass?.states[entity];
+    if (!stateObj) return;
 
-    if (targetIndex < 0 || targetIndex >= this._cards.length) return;
+    // Positions count configured cards, hidden ones included
+    const configIndex = this._stateToCardIndex(entity, stateObj);
+    if (configIndex === -1) return;
+    const targetIndex = this._visibleIndices.indexOf(configIndex);
+    if (targetIndex === -1) return;
 
     // Compare against current position, not old hass state
     // This ensures we react even if hass object references are reused
-    if (targetIndex === this._realIndex) return;
+    // Slides already in view count as reached
+    if (this._toPageStart(targetIndex) === this._realIndex) return;
 
     // Ignore state updates that match what we just synced (within 2 seconds)
     // This prevents bounce-back when HA echoes our own state change
-    if (this._lastSyncedValue === stateValue && (Date.now() - this._syncedAt) < 2000) {
+    if (this._lastSyncedValue === configIndex && (Date.now() - this._syncedAt) < 2000) {
       return;
     }
 
@@ -633,39 +2510,341 @@ class SwipeCardLite extends HTMLElement {
 
   _syncToStateEntity() {
     const entity = this._config.state_entity;
-    if (!entity || !this._hass) return;
+    if (!entity || !this._hass || this._preview) return;
 
-    if (entity.startsWith('input_number.')) {
-      const targetValue = this._realIndex + 1; // 1-based
-      const currentState = this._hass.states[entity]?.state;
-      if (parseInt(currentState, 10) === targetValue) return;
+    const configIndex = this._visibleIndices[this._realIndex];
+    if (configIndex === undefined) return;
 
-      // Track what we're syncing to ignore bounce-back
-      this._lastSyncedValue = targetValue;
-      this._syncedAt = Date.now();
+    const stateObj = this._hass.states[entity];
+    if (this._stateToCardIndex(entity, stateObj) === configIndex) return;
 
-      this._hass.callService('input_number', 'set_value', {
-        entity_id: entity,
-        value: targetValue
-      });
+    const call = this._getStateServiceCall(entity, stateObj, configIndex);
+    if (!call) return;
+
+    // Track what we're syncing to ignore bounce-back
+    this._lastSyncedValue = configIndex;
+    this._syncedAt = Date.now();
+
+    this._hass.callService(call.domain, call.service, {
+      entity_id: entity,
+      ...call.data
+    });
+  }
+
+  // Config index of the slide with the given `id`, -1 if none
+  _findSlideById(id) {
+    if (id === undefined || id === null || id === '') return -1;
+    return this._config.cards.findIndex(card => card?.id !== undefined && String(card.id) === String(id));
+  }
+
+  // Translate the state entity's state into a configured card index (0-based), -1 if no slide matches
+  _stateToCardIndex(entity, stateObj) {
+    const state = stateObj?.state;
+    if (state === undefined || state === 'unknown' || state === 'unavailable') return -1;
+    const domain = entity.split('.')[0];
+
+    // Slide ids win over positions, except for input_number which is always a position
+    if (domain !== 'input_number') {
+      const byId = this._findSlideById(state);
+      if (byId !== -1) return byId;
+    }
+
+    if (domain === 'input_select' || domain === 'select') {
+      return (stateObj.attributes?.options || []).indexOf(state);
+    }
+
+    const number = parseInt(state, 10);
+    if (isNaN(number)) return -1;
+    // input_number, counter and input_text are 1-based, other entities 0-based
+    return ['input_number', 'counter', 'input_text'].includes(domain) ? number - 1 : number;
+  }
+
+  // Service call that makes the state entity point at a configured card, null if unsupported
+  _getStateServiceCall(entity, stateObj, configIndex) {
+    const domain = entity.split('.')[0];
+    const slideId = this._config.cards[configIndex]?.id;
+    const position = configIndex + 1;
+
+    switch (domain) {
+      case 'input_number':
+        return { domain, service: 'set_value', data: { value: position } };
+      case 'counter': {
+        const numericId = parseInt(slideId, 10);
+        return { domain, service: 'set_value', data: { value: isNaN(numericId) ? position : numericId } };
+      }
+      case 'input_select':
+      case 'select': {
+        const options = stateObj?.attributes?.options || [];
+        const option = options.includes(String(slideId)) ? String(slideId) : options[configIndex];
+        if (option === undefined) return null;
+        return { domain, service: 'select_option', data: { option } };
+      }
+      case 'input_text':
+        return { domain, service: 'set_value', data: { value: slideId !== undefined ? String(slideId) : String(position) } };
+      default:
+        return null;
+    }
+  }
+
+  // ===== URL Sync =====
+
+  _getUrlKey() {
+    return this._config.id ? `swipe-${this._config.id}` : 'swipe';
+  }
+
+  // Our value in the hash (which may hold other cards' values, joined by &) or the query string
+  _readUrlValue() {
+    const key = this._getUrlKey();
+    if (this._config.url_sync === 'query') return new URLSearchParams(location.search).get(key);
+    const piece = location.hash.slice(1).split('&').find(p => p.startsWith(`${key}=`));
+    if (!piece) return null;
+    try {
+      return decodeURIComponent(piece.slice(key.length + 1));
+    } catch (e) {
+      // A mangled link (e.g. #swipe=%E0) points at no slide
+      return null;
+    }
+  }
+
+  // Visible index the URL points at, -1 if none
+  _getUrlIndex() {
+    return this._slideReferenceToIndex(this._readUrlValue());
+  }
+
+  _syncToUrl() {
+    if (!this._config.url_sync) return;
+    const value = this._getSlideReference();
+    if (value === null || this._readUrlValue() === value) return;
+
+    const key = this._getUrlKey();
+    const url = new URL(location.href);
+    if (this._config.url_sync === 'query') {
+      url.searchParams.set(key, value);
+    } else {
+      const pieces = url.hash.slice(1).split('&').filter(Boolean);
+      const piece = `${key}=${encodeURIComponent(value)}`;
+      const existing = pieces.findIndex(p => p.startsWith(`${key}=`));
+      if (existing === -1) {
+        pieces.push(piece);
+      } else {
+        pieces[existing] = piece;
+      }
+      url.hash = pieces.join('&');
+    }
+    // Replace, so swiping doesn't flood the browser history
+    history.replaceState(history.state, '', url.toString());
+  }
+
+  _handleUrlChange() {
+    if (!this._initialized || !this._config.url_sync) return;
+    const index = this._getUrlIndex();
+    if (index === -1 || this._toPageStart(index) === this._realIndex) return;
+    this._goToRealIndex(index, true);
+  }
+
+  _setupUrlListeners() {
+    if (!this._config?.url_sync || !this.isConnected) {
+      this._teardownUrlListeners();
+      return;
+    }
+    if (this._urlListening) return;
+    this._urlListening = true;
+    // HA navigates with pushState and announces it with location-changed
+    window.addEventListener('hashchange', this._onUrlChange);
+    window.addEventListener('location-changed', this._onUrlChange);
+  }
+
+  _teardownUrlListeners() {
+    if (!this._urlListening) return;
+    this._urlListening = false;
+    window.removeEventListener('hashchange', this._onUrlChange);
+    window.removeEventListener('location-changed', this._onUrlChange);
+  }
+
+  // The current slide's id, or its 1-based configured position (survives hidden slides and reordering)
+  _getSlideReference() {
+    const configIndex = this._visibleIndices[this._realIndex];
+    if (configIndex === undefined) return null;
+    return String(this._config.cards[configIndex]?.id ?? configIndex + 1);
+  }
+
+  // Visible index of a slide id or 1-based position, -1 if there is no such visible slide
+  _slideReferenceToIndex(value) {
+    if (!value) return -1;
+    let configIndex = this._findSlideById(value);
+    if (configIndex === -1 && /^\d+$/.test(value)) configIndex = parseInt(value, 10) - 1;
+    return configIndex < 0 ? -1 : this._visibleIndices.indexOf(configIndex);
+  }
+
+  // ===== Remembered Position =====
+
+  // One entry per card and dashboard view, so several carousels don't overwrite each other
+  _getPositionStorageKey() {
+    return `swipe-card-lite:${location.pathname}:${this._config.id ?? ''}`;
+  }
+
+  _getRememberedIndex() {
+    try {
+      return this._slideReferenceToIndex(localStorage.getItem(this._getPositionStorageKey()));
+    } catch (e) {
+      // Storage can be unavailable (privacy mode, embedded browsers)
+      return -1;
+    }
+  }
+
+  _savePosition() {
+    if (this._config.remember_position !== 'browser') return;
+    const value = this._getSlideReference();
+    if (value === null) return;
+    try {
+      localStorage.setItem(this._getPositionStorageKey(), value);
+    } catch (e) {
+      console.warn('[swipe-card-lite] Could not remember position:', e);
+    }
+  }
+
+  // ===== Slide Change Actions =====
+
+  // Scrolling has stopped on a real slide (after any edge slide jump)
+  _onSlideSettled() {
+    this._updateSlideAccessibility();
+    if (!this._preview) {
+      this._syncToUrl();
+      this._savePosition();
+    }
+    this._handleSlideChange();
+    if (this._scrollActive) {
+      this._scrollActive = false;
+      this._fireEvent('swipe-card-lite-scroll-end', { index: this._realIndex });
+    }
+  }
+
+  // Run on_leave/on_enter/on_slide_change and fire the bus event once a new slide has settled
+  _handleSlideChange() {
+    const cardIndex = this._visibleIndices[this._realIndex];
+    if (cardIndex === undefined || cardIndex === this._activeCardIndex) return;
+
+    const previousIndex = this._activeCardIndex;
+    this._activeCardIndex = cardIndex;
+
+    const previousSlide = previousIndex !== null ? this._config.cards[previousIndex] : null;
+    const slide = this._config.cards[cardIndex];
+
+    this._fireEvent('swipe-card-lite-change', {
+      index: this._realIndex,
+      id: slide?.id ?? null,
+      previousIndex: previousIndex !== null ? this._visibleIndices.indexOf(previousIndex) : null
+    });
+
+    // Browsing slides in the editor preview shouldn't act on the house
+    if (this._preview) return;
+
+    if (previousSlide?.on_leave) this._runActions(previousSlide.on_leave);
+    if (slide?.on_enter) this._runActions(slide.on_enter);
+    if (this._config.on_slide_change) this._runActions(this._config.on_slide_change);
+
+    if (this._config.fire_event && this._hass) {
+      // Firing events requires an admin user, don't let a rejected call break the card
+      this._hass.callApi('POST', 'events/swipe_card_lite_slide_changed', {
+        id: this._config.id,
+        index: cardIndex + 1,
+        slide_id: slide?.id ?? null,
+        previous_index: previousIndex !== null ? previousIndex + 1 : null,
+        previous_slide_id: previousSlide?.id ?? null
+      }).catch(e => console.warn('[swipe-card-lite] Could not fire slide change event:', e));
+    }
+  }
+
+  _fireEvent(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, {
+      detail,
+      bubbles: true,
+      composed: true
+    }));
+  }
+
+  _runActions(actions) {
+    (Array.isArray(actions) ? actions : [actions]).forEach(action => {
+      try {
+        this._runAction(action);
+      } catch (e) {
+        console.error('[swipe-card-lite] Error running action:', e);
+      }
+    });
+  }
+
+  // Subset of HA's standard action syntax (tap_action and friends)
+  _runAction(action) {
+    if (!action || !this._hass) return;
+
+    switch (action.action) {
+      case 'perform-action':
+      case 'call-service': {
+        const [domain, service] = (action.perform_action || action.service || '').split('.');
+        if (!domain || !service) return;
+        this._hass.callService(domain, service, action.data || action.service_data || {}, action.target);
+        break;
+      }
+      case 'toggle':
+        if (action.entity) this._hass.callService('homeassistant', 'toggle', { entity_id: action.entity });
+        break;
+      case 'navigate':
+        if (!action.navigation_path) return;
+        if (action.navigation_replace) {
+          history.replaceState(history.state, '', action.navigation_path);
+        } else {
+          history.pushState(null, '', action.navigation_path);
+        }
+        window.dispatchEvent(new CustomEvent('location-changed', { detail: { replace: !!action.navigation_replace } }));
+        break;
+      case 'url':
+        if (action.url_path) window.open(action.url_path);
+        break;
+      case 'more-info':
+        if (!action.entity) return;
+        this.dispatchEvent(new CustomEvent('hass-more-info', {
+          detail: { entityId: action.entity },
+          bubbles: true,
+          composed: true
+        }));
+        break;
+      case 'fire-dom-event':
+        this.dispatchEvent(new CustomEvent('ll-custom', {
+          detail: action,
+          bubbles: true,
+          composed: true
+        }));
+        break;
+      case 'none':
+        break;
+      default:
+        console.warn('[swipe-card-lite] Unsupported action:', action.action);
     }
   }
 
   // ===== Pagination Auto-Hide =====
 
   _showPagination() {
-    const pagination = this._cachedPagination;
-    if (pagination) pagination.classList.remove('hidden');
+    this._setControlsHidden(false);
     if (this._paginationHideTimeout) clearTimeout(this._paginationHideTimeout);
   }
 
+  // Pagination auto-hide also applies to the arrows unless navigation.auto_hide is off
+  _setControlsHidden(hidden) {
+    const pagination = this._cachedPagination;
+    // A tab strip is page chrome, it never hides
+    if (pagination && this._config.pagination_type !== 'tabs') pagination.classList.toggle('hidden', hidden);
+    if (this._config.navigation?.auto_hide) {
+      this._cachedNavButtons.forEach(button => button.classList.toggle('hidden', hidden));
+    }
+  }
+
   _startPaginationHideTimer() {
     if (this._config.auto_hide_pagination <= 0) return;
     if (this._paginationHideTimeout) clearTimeout(this._paginationHideTimeout);
 
     this._paginationHideTimeout = setTimeout(() => {
-      const pagination = this._cachedPagination;
-      if (pagination) pagination.classList.add('hidden');
+      this._setControlsHidden(true);
     }, this._config.auto_hide_pagination);
   }
 
@@ -675,31 +2854,219 @@ class SwipeCardLite extends HTMLElement {
     if (!this._config.enable_reset_after) return;
     if (this._resetTimeout) clearTimeout(this._resetTimeout);
 
-    // Don't start timer if auto-reset is disabled by entity
-    if (!this._isAutoResetEnabled()) return;
+    // Don't start timer if auto-reset is disabled by entity
+    if (!this._isAutoResetEnabled()) return;
+
+    this._resetTimeout = setTimeout(() => {
+      // Check again when timer fires in case entity changed
+      if (!this._isAutoResetEnabled()) return;
+      // Autoplay owns the position while it is running
+      if (this._isAutoplayEnabled() && !this._autoplayPaused) return;
+
+      const targetIndex = this._toVisibleIndex(this._config.reset_target_card || 1);
+      if (targetIndex !== -1 && this._toPageStart(targetIndex) !== this._realIndex) {
+        this._goToRealIndex(targetIndex, true);
+        this._syncToStateEntity();
+      }
+    }, this._config.reset_after_timeout);
+  }
+
+  // ===== Autoplay =====
+
+  _restartAutoplay() {
+    this._stopAutoplay();
+    if (!this._isAutoplayEnabled() || this._autoplayPaused) return;
+    if (this._cards.length < 2) return;
+
+    this._autoplayTimeout = setTimeout(() => {
+      this._autoplayTimeout = null;
+      // Check again when timer fires in case entity changed
+      if (!this._isAutoplayEnabled() || this._autoplayPaused) return;
+
+      // Don't fight the user, try again after a full interval
+      if (this._userScrolling || this._jumping || document.hidden) {
+        this._restartAutoplay();
+        return;
+      }
+
+      const delta = this._config.autoplay_direction === 'backward' ? -1 : 1;
+      this._goToAdjacent(delta, true, true);
+      // _onScrollEnd restarts the timer once the slide settles
+      this._restartAutoplay();
+    }, this._config.autoplay_interval);
+  }
+
+  _stopAutoplay() {
+    if (this._autoplayTimeout) clearTimeout(this._autoplayTimeout);
+    this._autoplayTimeout = null;
+  }
+
+  _pauseAutoplay(paused) {
+    this._autoplayPaused = paused;
+    if (paused) {
+      this._stopAutoplay();
+    } else {
+      this._restartAutoplay();
+    }
+  }
+
+  // ===== Lazy Loading =====
+
+  // DOM indices that should hold a live card: the slides in view and their neighbours
+  _getActiveSlides() {
+    const distance = Math.max(0, this._config.lazy_load_distance);
+    const lastInView = this._currentIndex + this._layout.slides_per_view - 1;
+    const active = new Set();
+    for (let i = this._currentIndex - distance; i <= lastInView + distance; i++) {
+      if (i < 0 || i >= this._allSlideCards.length) continue;
+      // Edge slides show the last/first card, which lives on its own slide
+      if (this._isEdgeSlide(i)) {
+        active.add(i === 0 ? this._cards.length : 1);
+      } else {
+        active.add(i);
+      }
+    }
+    return active;
+  }
+
+  _updateLazySlides() {
+    if (!this._config.lazy_load) return;
+
+    const active = this._getActiveSlides();
+    const unloadAfter = this._config.lazy_unload_after;
+
+    this._allSlideCards.forEach((card, domIndex) => {
+      if (active.has(domIndex)) {
+        this._clearUnloadTimer(domIndex);
+        if (!card) {
+          this._loadSlide(domIndex);
+        } else if (!this._activeSlides.has(domIndex) && 'hass' in card) {
+          // Catch up on the hass updates skipped while off-screen
+          this._setCardHass(card);
+        }
+      } else if (card && unloadAfter > 0 && !this._unloadTimers.has(domIndex)) {
+        this._unloadTimers.set(domIndex, setTimeout(() => {
+          this._unloadTimers.delete(domIndex);
+          this._unloadSlide(domIndex);
+        }, unloadAfter));
+      }
+    });
+
+    this._activeSlides = active;
+  }
+
+  async _loadSlide(domIndex) {
+    if (this._loadingSlides.has(domIndex) || !this._helpers) return;
+    this._loadingSlides.add(domIndex);
+
+    const buildId = this._buildId;
+    const configIndex = this._slideConfigIndices[domIndex];
+    await this._waitForCustomCards([this._config.cards[configIndex]]);
+    const card = await this._createCard(this._helpers, this._config.cards[configIndex]);
+    this._loadingSlides.delete(domIndex);
+
+    // Discard if the carousel was rebuilt or the slide was loaded meanwhile
+    if (buildId !== this._buildId || this._allSlideCards[domIndex]) return;
+    this._setSlideCard(domIndex, card);
+  }
+
+  _unloadSlide(domIndex) {
+    // Never unload a slide that came back into view
+    if (this._activeSlides.has(domIndex)) return;
+    const card = this._allSlideCards[domIndex];
+    if (!card) return;
+    card.remove();
+    this._setSlideCard(domIndex, null);
+  }
+
+  _setSlideCard(domIndex, card) {
+    this._allSlideCards[domIndex] = card;
 
-    this._resetTimeout = setTimeout(() => {
-      // Check again when timer fires in case entity changed
-      if (!this._isAutoResetEnabled()) return;
+    // Keep the real card lists in sync
+    const realIndex = this._isInfiniteMode ? domIndex - 1 : domIndex;
+    this._cards[realIndex] = card;
+    this._cardElements[this._slideConfigIndices[domIndex]] = card;
 
-      const targetIndex = Math.max(0, (this._config.reset_target_card || 1) - 1);
-      if (targetIndex !== this._realIndex && targetIndex < this._cards.length) {
-        this._goToRealIndex(targetIndex, true);
-        this._syncToStateEntity();
-      }
-    }, this._config.reset_after_timeout);
+    const slide = this._cachedSlides[domIndex];
+    if (slide && card) slide.firstElementChild.appendChild(card);
+  }
+
+  _clearUnloadTimer(domIndex) {
+    if (!this._unloadTimers.has(domIndex)) return;
+    clearTimeout(this._unloadTimers.get(domIndex));
+    this._unloadTimers.delete(domIndex);
+  }
+
+  _clearUnloadTimers() {
+    this._unloadTimers.forEach(timer => clearTimeout(timer));
+    this._unloadTimers.clear();
   }
 
   getCardSize() {
     let maxSize = 1;
     this._cards.forEach(card => {
-      if (typeof card.getCardSize === 'function') {
+      if (card && typeof card.getCardSize === 'function') {
         maxSize = Math.max(maxSize, card.getCardSize());
       }
     });
     return maxSize + (this._config.show_pagination ? 1 : 0);
   }
 
+  // Sections view size: as large as the largest slide, resizable in the dashboard editor
+  getGridOptions() {
+    let rows = null;
+    let minRows = 1;
+    let columns = null;
+    let minColumns = 1;
+    this._cards.forEach(card => {
+      const options = this._getChildGridOptions(card);
+      if (typeof options.rows === 'number') rows = Math.max(rows ?? 0, options.rows);
+      if (typeof options.min_rows === 'number') minRows = Math.max(minRows, options.min_rows);
+      if (options.columns === 'full' || columns === 'full') {
+        columns = 'full';
+      } else if (typeof options.columns === 'number') {
+        columns = Math.max(columns ?? 0, options.columns);
+      }
+      if (typeof options.min_columns === 'number') minColumns = Math.max(minColumns, options.min_columns);
+    });
+
+    // Tabs and pagination below the slides take a row of their own
+    const extraRows = this._config?.pagination_type === 'tabs' || this._config?.pagination_position === 'outside' ? 1 : 0;
+    return {
+      // Slides without a grid size of their own size the card by content
+      rows: rows === null ? 'auto' : rows + extraRows,
+      min_rows: minRows + extraRows,
+      columns: columns ?? 12,
+      min_columns: minColumns
+    };
+  }
+
+  // Before getGridOptions, HA asked for these on a grid with 4 instead of 12 columns
+  getLayoutOptions() {
+    const { rows, min_rows, columns, min_columns } = this.getGridOptions();
+    return {
+      grid_rows: rows,
+      grid_min_rows: min_rows,
+      grid_columns: columns === 'full' ? 'full' : Math.ceil(columns / 3),
+      grid_min_columns: Math.ceil(min_columns / 3)
+    };
+  }
+
+  _getChildGridOptions(card) {
+    if (typeof card?.getGridOptions === 'function') return card.getGridOptions() || {};
+    if (typeof card?.getLayoutOptions === 'function') {
+      const options = card.getLayoutOptions() || {};
+      const toColumns = (value) => (typeof value === 'number' ? value * 3 : value);
+      return {
+        rows: options.grid_rows,
+        min_rows: options.grid_min_rows,
+        columns: toColumns(options.grid_columns),
+        min_columns: toColumns(options.grid_min_columns)
+      };
+    }
+    return {};
+  }
+
   static getConfigElement() {
     return document.createElement('swipe-card-lite-editor');
   }
@@ -715,67 +3082,281 @@ class SwipeCardLiteEditor extends HTMLElement {
     super();
     this._config = {};
     this._hass = null;
+    this._lovelace = null;
+    this._firedConfig = null;   // Last config sent out, HA echoes it back through setConfig
+    this._yamlIndex = null;     // Slide with the inline YAML editor open
+    this._pickerOpen = false;   // Card type picker shown instead of the add button
+    this._selectedIndex = null; // Slide shown in the preview
   }
 
   setConfig(config) {
+    // Re-rendering our own change would steal focus from the field being edited
+    if (this._firedConfig && JSON.stringify(config) === this._firedConfig) {
+      this._config = { ...config };
+      return;
+    }
     this._config = { ...config };
     this._render();
   }
 
   set hass(hass) {
     this._hass = hass;
-    // Update entity pickers when hass becomes available
-    this._updateEntityPickers();
+    // Update form fields when hass becomes available
+    this._updateFormFields();
+  }
+
+  // Set by HA, the card picker needs it for its previews
+  set lovelace(lovelace) {
+    this._lovelace = lovelace;
   }
 
-  _updateEntityPickers() {
+  _updateFormFields() {
     if (!this._hass) return;
 
+    this.querySelectorAll('hui-card-picker, ha-yaml-editor').forEach(el => {
+      el.hass = this._hass;
+    });
+
     // Use ha-form for entity selection (it handles lazy loading internally)
-    const stateContainer = this.querySelector('#state_entity_container');
-    if (stateContainer && !stateContainer.querySelector('ha-form')) {
-      const form = document.createElement('ha-form');
-      form.hass = this._hass;
-      form.data = { state_entity: this._config.state_entity || '' };
-      form.schema = [
-        {
-          name: 'state_entity',
-          selector: { entity: { domain: 'input_number' } }
-        }
-      ];
-      form.computeLabel = () => '';
-      form.addEventListener('value-changed', (e) => {
-        this._config = { ...this._config, state_entity: e.detail.value.state_entity || null };
-        this._fireConfigChanged();
-      });
-      stateContainer.appendChild(form);
-    } else if (stateContainer) {
-      const form = stateContainer.querySelector('ha-form');
-      if (form) form.hass = this._hass;
-    }
-
-    // Auto-reset entity picker
-    const autoResetContainer = this.querySelector('#auto_reset_entity_container');
-    if (autoResetContainer && !autoResetContainer.querySelector('ha-form')) {
-      const form = document.createElement('ha-form');
-      form.hass = this._hass;
-      form.data = { auto_reset_enabled_entity: this._config.auto_reset_enabled_entity || '' };
-      form.schema = [
-        {
-          name: 'auto_reset_enabled_entity',
-          selector: { entity: { domain: ['input_boolean', 'binary_sensor', 'switch'] } }
-        }
-      ];
-      form.computeLabel = () => '';
-      form.addEventListener('value-changed', (e) => {
-        this._config = { ...this._config, auto_reset_enabled_entity: e.detail.value.auto_reset_enabled_entity || null };
-        this._fireConfigChanged();
+    this._attachForm('state_entity_container', 'state_entity', {
+      entity: { domain: STATE_ENTITY_DOMAINS }
+    });
+    this._attachForm('auto_reset_entity_container', 'auto_reset_enabled_entity', {
+      entity: { domain: ['input_boolean', 'binary_sensor', 'switch'] }
+    });
+    this._attachForm('autoplay_entity_container', 'autoplay_enabled_entity', {
+      entity: { domain: ['input_boolean', 'binary_sensor', 'switch'] }
+    });
+    this._attachForm('loop_mode_container', 'loop_mode', {
+      select: {
+        mode: 'dropdown',
+        options: [
+          { value: 'none', label: 'None' },
+          { value: 'infinite', label: 'Infinite' },
+          { value: 'rewind', label: 'Rewind' }
+        ]
+      }
+    }, 'none');
+    this._attachForm('pagination_type_container', 'pagination_type', {
+      select: {
+        mode: 'dropdown',
+        options: [
+          { value: 'dots', label: 'Dots' },
+          { value: 'fraction', label: 'Fraction (2 / 5)' },
+          { value: 'progress', label: 'Progress bar' },
+          { value: 'tabs', label: 'Tabs (slide tab_title/tab_icon)' }
+        ]
+      }
+    }, 'dots');
+    this._attachForm('pagination_position_container', 'pagination_position', {
+      select: {
+        mode: 'dropdown',
+        options: [
+          { value: 'bottom', label: 'Bottom (over the slides)' },
+          { value: 'top', label: 'Top (over the slides)' },
+          { value: 'outside', label: 'Below the slides' }
+        ]
+      }
+    }, 'bottom');
+    this._attachForm('pagination_shape_container', 'pagination_shape', {
+      select: {
+        mode: 'dropdown',
+        options: [
+          { value: 'dot', label: 'Dot' },
+          { value: 'line', label: 'Line' },
+          { value: 'pill', label: 'Pill (active dot)' }
+        ]
+      }
+    }, 'dot');
+    this._attachForm('effect_container', 'effect', {
+      select: {
+        mode: 'dropdown',
+        options: [
+          { value: 'slide', label: 'Slide' },
+          { value: 'fade', label: 'Fade' },
+          { value: 'scale', label: 'Scale' },
+          { value: 'coverflow', label: 'Coverflow' },
+          { value: 'cube', label: 'Cube' }
+        ]
+      }
+    }, 'slide');
+
+    const cardCount = (this._config.cards || []).length;
+    // Template slides come after the cards, so their count isn't known here
+    const slideNumber = { number: { min: 1, ...(this._config.slide_template ? {} : { max: Math.max(1, cardCount) }), mode: 'box' } };
+    this._attachForm('start_card_container', 'start_card', slideNumber, 1);
+    this._attachForm('reset_target_card_container', 'reset_target_card', slideNumber, 1);
+    this._attachForm('autoplay_direction_container', 'autoplay_direction', {
+      select: {
+        mode: 'dropdown',
+        options: [
+          { value: 'forward', label: 'Forward' },
+          { value: 'backward', label: 'Backward' }
+        ]
+      }
+    }, 'forward');
+    this._attachForm('lazy_load_distance_container', 'lazy_load_distance', { number: { min: 0, max: 10, mode: 'box' } }, 1);
+    this._attachForm('lazy_unload_after_container', 'lazy_unload_after', { number: { min: 0, step: 1000, mode: 'box', unit_of_measurement: 'ms' } }, 0);
+
+    const navigation = typeof this._config.navigation === 'object' ? this._config.navigation : {};
+    this._attachSchemaForm('navigation_container', [
+      {
+        name: 'position',
+        label: 'Arrow position',
+        selector: {
+          select: {
+            mode: 'dropdown',
+            options: [
+              { value: 'inside', label: 'Over the slides' },
+              { value: 'outside', label: 'Beside the slides' }
+            ]
+          }
+        }
+      },
+      { name: 'auto_hide', label: 'Hide together with the pagination', selector: { boolean: {} } },
+      { name: 'prev_icon', label: 'Previous icon', selector: { icon: {} } },
+      { name: 'next_icon', label: 'Next icon', selector: { icon: {} } }
+    ], {
+      position: 'inside',
+      auto_hide: true,
+      ...navigation
+    }, (data) => {
+      // Only keep what differs from the defaults
+      const options = {};
+      if (data.position === 'outside') options.position = 'outside';
+      if (data.auto_hide === false) options.auto_hide = false;
+      if (data.prev_icon) options.prev_icon = data.prev_icon;
+      if (data.next_icon) options.next_icon = data.next_icon;
+      return { navigation: Object.keys(options).length ? options : true };
+    });
+
+    this._attachSchemaForm('template_container', [
+      { name: 'slide_template', label: 'Slide template', helper: 'Card config repeated for every source item, with {{ entity }}, {{ area }} and {{ name }}', selector: { object: {} } },
+      { name: 'slide_source', label: 'Slide source', helper: 'entities, include, exclude, area, label or areas', selector: { object: {} } }
+    ], {
+      slide_template: this._config.slide_template,
+      slide_source: this._config.slide_source
+    });
+
+    this._attachSchemaForm('advanced_container', [
+      { name: 'id', label: 'Card id', helper: 'Tells several carousels apart in URLs, events and remembered positions', selector: { text: {} } },
+      {
+        name: 'url_sync',
+        label: 'Sync slide with URL',
+        selector: {
+          select: {
+            mode: 'dropdown',
+            options: [
+              { value: 'none', label: 'Off' },
+              { value: 'hash', label: 'Hash (#swipe=2)' },
+              { value: 'query', label: 'Query (?swipe=2)' }
+            ]
+          }
+        }
+      },
+      { name: 'remember_position', label: 'Remember slide per browser', selector: { boolean: {} } },
+      { name: 'fire_event', label: 'Fire swipe_card_lite_slide_changed event', selector: { boolean: {} } },
+      { name: 'on_slide_change', label: 'Slide change action', helper: 'One action or a list of actions', selector: { object: {} } },
+      { name: 'breakpoints', label: 'Breakpoints', helper: 'Minimum card width in px mapped to slides_per_view, slides_per_group, slide_gap or slide_height', selector: { object: {} } },
+      { name: 'aria_label', label: 'Accessible name', selector: { text: {} } },
+      { name: 'show_version', label: 'Show version', selector: { boolean: {} } }
+    ], {
+      id: this._config.id,
+      // url_sync: true is the old spelling of hash
+      url_sync: this._config.url_sync === 'query' ? 'query' : (this._config.url_sync ? 'hash' : 'none'),
+      remember_position: this._config.remember_position === 'browser',
+      fire_event: !!this._config.fire_event,
+      on_slide_change: this._config.on_slide_change,
+      breakpoints: this._config.breakpoints,
+      aria_label: this._config.aria_label,
+      show_version: !!this._config.show_version
+    }, (data) => ({
+      ...this._toConfigValues(data),
+      url_sync: data.url_sync === 'none' ? null : data.url_sync,
+      remember_position: data.remember_position ? 'browser' : null,
+      fire_event: data.fire_event || null,
+      show_version: data.show_version || null
+    }));
+  }
+
+  // Render a single-field ha-form bound to a config key, or refresh its hass
+  _attachForm(containerId, name, selector, defaultValue = '') {
+    // Deprecated values show as their replacement, which is one of the options
+    const value = DEPRECATED_VALUES[name]?.[this._config[name]] ?? this._config[name] ?? defaultValue;
+    this._attachSchemaForm(containerId, [{ name, selector }], { [name]: value }, (values) => (
+      this._toConfigValues({ [name]: values[name] === defaultValue ? null : values[name] })
+    ));
+  }
+
+  // Render an ha-form for several fields, toConfig maps the form data back onto config keys.
+  // Invalid fields are flagged on the form and left out of the config until corrected.
+  // Only the keys an edit changes are written, null removes the key.
+  _attachSchemaForm(containerId, schema, data, toConfig = (values) => this._toConfigValues(values)) {
+    const container = this.querySelector(`#${containerId}`);
+    if (!container) return;
+
+    const existing = container.querySelector('ha-form');
+    if (existing) {
+      existing.hass = this._hass;
+      return;
+    }
+
+    const form = document.createElement('ha-form');
+    form.hass = this._hass;
+    form.data = data;
+    form.schema = schema;
+    form.computeLabel = (field) => field.label || '';
+    form.computeHelper = (field) => field.helper || '';
+    form.addEventListener('value-changed', (e) => {
+      const values = e.detail.value;
+      const previous = toConfig(form.data);
+      form.data = values;
+      const errors = this._validateFormData(schema, values);
+      form.error = errors;
+      const valid = Object.fromEntries(Object.entries(values).filter(([name]) => !errors[name]));
+      const config = { ...this._config };
+      Object.entries(toConfig(valid)).forEach(([key, value]) => {
+        if (JSON.stringify(value) === JSON.stringify(previous[key])) return;
+        if (value === null || value === undefined) {
+          delete config[key];
+        } else {
+          config[key] = value;
+        }
       });
-      autoResetContainer.appendChild(form);
-    } else if (autoResetContainer) {
-      const form = autoResetContainer.querySelector('ha-form');
-      if (form) form.hass = this._hass;
+      this._config = config;
+      this._fireConfigChanged();
+    });
+    container.appendChild(form);
+  }
+
+  // Cleared fields become null, which leaves them out of the config
+  _toConfigValues(values) {
+    return Object.fromEntries(Object.entries(values).map(([name, value]) => [name, value === '' || value === undefined ? null : value]));
+  }
+
+  _validateFormData(schema, values) {
+    const errors = {};
+    schema.forEach(({ name, selector }) => {
+      const value = values[name];
+      if (value === undefined || value === null || value === '') return;
+      if (selector.number) {
+        const { min = -Infinity, max = Infinity } = selector.number;
+        if (typeof value !== 'number' || value < min || value > max) {
+          errors[name] = max === Infinity ? `Must be at least ${min}` : `Must be between ${min} and ${max}`;
+        }
+      } else if (selector.object && (typeof value !== 'object' || value === null)) {
+        errors[name] = 'Must be a YAML mapping or list';
+      }
+    });
+    if (schema.some(field => field.name === 'slide_source') && values.slide_source && !values.slide_template) {
+      errors.slide_source = 'Needs a slide template';
     }
+    return errors;
+  }
+
+  // Text fields take CSS values, anything the browser can't parse is flagged instead of saved
+  _isValidCss(property, value) {
+    return !value || !window.CSS?.supports || CSS.supports(property, value);
   }
 
   get hass() {
@@ -810,14 +3391,70 @@ class SwipeCardLiteEditor extends HTMLElement {
           align-items: center;
           gap: 8px;
         }
+        .swipe-editor #config-issues {
+          flex-direction: column;
+          gap: 8px;
+        }
         .swipe-editor .card-item {
           display: flex;
+          flex-wrap: wrap;
           align-items: center;
           justify-content: space-between;
+          gap: 8px;
           padding: 8px 12px;
           background: var(--secondary-background-color);
           border-radius: 6px;
           margin-bottom: 8px;
+          position: relative;
+        }
+        .swipe-editor .card-item.selected {
+          outline: 1px solid var(--primary-color);
+        }
+        .swipe-editor .slide-tabs {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+          margin-bottom: 12px;
+        }
+        .swipe-editor .slide-tab {
+          min-width: 32px;
+          padding: 4px 8px;
+          border: 1px solid var(--divider-color);
+          border-radius: 100px;
+          background: transparent;
+          color: var(--secondary-text-color);
+          font: inherit;
+          font-size: 13px;
+          cursor: pointer;
+        }
+        .swipe-editor .slide-tab.selected {
+          color: var(--primary-color);
+          border-color: var(--primary-color);
+          background: rgba(var(--rgb-primary-color, 3, 169, 244), 0.12);
+        }
+        .swipe-editor .card-item.dragging {
+          z-index: 1;
+          opacity: 0.8;
+          box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+        }
+        .swipe-editor .card-item.drop-before {
+          box-shadow: 0 -2px 0 var(--primary-color);
+        }
+        .swipe-editor .card-item.drop-after {
+          box-shadow: 0 2px 0 var(--primary-color);
+        }
+        .swipe-editor .drag-handle {
+          cursor: grab;
+          touch-action: none;
+          color: var(--secondary-text-color);
+        }
+        .swipe-editor .card-yaml {
+          flex: 0 0 100%;
+          min-width: 0;
+        }
+        .swipe-editor .yaml-error {
+          flex: 0 0 100%;
+          color: var(--error-color);
         }
         .swipe-editor .card-item:last-child {
           margin-bottom: 0;
@@ -879,20 +3516,33 @@ class SwipeCardLiteEditor extends HTMLElement {
         }
       </style>
       <div class="swipe-editor">
+        <div id="config-issues"></div>
+
         <!-- Cards Section -->
         <div class="section">
           <div class="section-title">
             <ha-icon icon="mdi:cards-outline"></ha-icon>
             Slides
           </div>
+          ${cards.length > 1 ? `
+            <div class="slide-tabs" role="tablist" aria-label="Slide shown in the preview">
+              ${cards.map((card, i) => `<button type="button" class="slide-tab ${this._selectedIndex === i ? 'selected' : ''}" role="tab" aria-selected="${this._selectedIndex === i}" data-index="${i}" title="${this._getCardTypeName(card)}">${i + 1}</button>`).join('')}
+            </div>
+          ` : ''}
           <div id="cards-list">
             ${cards.map((card, i) => `
-              <div class="card-item" data-index="${i}">
+              <div class="card-item ${this._selectedIndex === i ? 'selected' : ''}" data-index="${i}">
+                <ha-icon class="drag-handle" icon="mdi:drag-vertical" title="Drag to reorder"></ha-icon>
                 <div class="card-info" data-action="edit" data-index="${i}">
-                  <ha-icon icon="mdi:drag-vertical"></ha-icon>
                   <span class="card-type">${this._getCardTypeName(card)}</span>
                 </div>
                 <div class="card-actions">
+                  <ha-icon-button data-action="yaml" data-index="${i}" label="Edit in YAML">
+                    <ha-icon icon="${this._yamlIndex === i ? 'mdi:code-braces-box' : 'mdi:code-braces'}"></ha-icon>
+                  </ha-icon-button>
+                  <ha-icon-button data-action="duplicate" data-index="${i}" label="Duplicate">
+                    <ha-icon icon="mdi:content-copy"></ha-icon>
+                  </ha-icon-button>
                   <ha-icon-button data-action="move-up" data-index="${i}" ${i === 0 ? 'disabled' : ''}>
                     <ha-icon icon="mdi:arrow-up"></ha-icon>
                   </ha-icon-button>
@@ -903,13 +3553,27 @@ class SwipeCardLiteEditor extends HTMLElement {
                     <ha-icon icon="mdi:delete"></ha-icon>
                   </ha-icon-button>
                 </div>
+                ${this._yamlIndex === i ? `
+                  <div class="card-yaml" data-index="${i}"></div>
+                  <div class="hint yaml-error"></div>
+                ` : ''}
               </div>
             `).join('')}
           </div>
-          <div class="add-card" id="add-card">
-            <ha-icon icon="mdi:plus"></ha-icon>
-            <span>Add Card</span>
-          </div>
+          ${this._pickerOpen ? `
+            <div id="card-picker"></div>
+            <div class="add-card" id="cancel-add-card">
+              <ha-icon icon="mdi:close"></ha-icon>
+              <span>Cancel</span>
+            </div>
+          ` : `
+            <div class="add-card" id="add-card">
+              <ha-icon icon="mdi:plus"></ha-icon>
+              <span>Add Card</span>
+            </div>
+          `}
+
+          <div id="template_container" style="margin-top: 12px;"></div>
         </div>
 
         <!-- Behavior Section -->
@@ -920,15 +3584,89 @@ class SwipeCardLiteEditor extends HTMLElement {
           </div>
 
           <div class="row">
-            <label>Infinite loop</label>
-            <ha-switch id="infinite_loop" ${this._config.loop_mode === 'infinite' ? 'checked' : ''}></ha-switch>
+            <label>Loop mode</label>
+            <div id="loop_mode_container"></div>
+          </div>
+          <div class="hint">Infinite wraps seamlessly past the last slide, rewind scrolls back to the other end</div>
+
+          <div class="row" style="margin-top: 8px;">
+            <label>Start slide</label>
+            <div id="start_card_container"></div>
+          </div>
+
+          <div class="row">
+            <label>Lazy load slides</label>
+            <ha-switch id="lazy_load" ${this._config.lazy_load ? 'checked' : ''}></ha-switch>
+          </div>
+          <div class="hint">Create slides only when they come near the viewport</div>
+
+          ${this._config.lazy_load ? `
+            <div class="row">
+              <label>Slides kept loaded around the current one</label>
+              <div id="lazy_load_distance_container"></div>
+            </div>
+
+            <div class="row">
+              <label>Unload slides after</label>
+              <div id="lazy_unload_after_container"></div>
+            </div>
+            <div class="hint">0 = keep slides once loaded</div>
+          ` : ''}
+
+          <div class="row" style="margin-top: 8px;">
+            <label>Mouse drag</label>
+            <ha-switch id="mouse_drag" ${this._config.mouse_drag !== false ? 'checked' : ''}></ha-switch>
           </div>
 
           <div class="row">
+            <label>Mouse wheel</label>
+            <ha-switch id="mouse_wheel" ${this._config.mouse_wheel ? 'checked' : ''}></ha-switch>
+          </div>
+          <div class="hint">Vertical wheel changes slides instead of scrolling the page</div>
+
+          <div class="row" style="margin-top: 8px;">
             <label>Show pagination</label>
             <ha-switch id="show_pagination" ${this._config.show_pagination !== false ? 'checked' : ''}></ha-switch>
           </div>
 
+          <div class="row">
+            <label>Pagination style</label>
+            <div id="pagination_type_container"></div>
+          </div>
+          <div class="hint">Tabs use each slide's tab_title and tab_icon</div>
+
+          <div class="row">
+            <label>Pagination position</label>
+            <div id="pagination_position_container"></div>
+          </div>
+
+          <div class="row">
+            <label>Dot shape</label>
+            <div id="pagination_shape_container"></div>
+          </div>
+
+          <div class="row">
+            <label>Dot color</label>
+            <ha-textfield id="pagination_color" value="${this._config.pagination_color || ''}" placeholder="theme"></ha-textfield>
+          </div>
+
+          <div class="row">
+            <label>Active dot color</label>
+            <ha-textfield id="pagination_active_color" value="${this._config.pagination_active_color || ''}" placeholder="theme"></ha-textfield>
+          </div>
+
+          <div class="row">
+            <label>Dot size</label>
+            <ha-textfield id="pagination_size" value="${this._config.pagination_size || ''}" placeholder="6px"></ha-textfield>
+          </div>
+          <div class="hint">Any CSS color, e.g. var(--primary-color)</div>
+
+          <div class="row" style="margin-top: 8px;">
+            <label>Navigation arrows</label>
+            <ha-switch id="navigation" ${this._config.navigation ? 'checked' : ''}></ha-switch>
+          </div>
+          ${this._config.navigation ? '<div id="navigation_container"></div>' : ''}
+
           <div class="row">
             <label>Auto-hide pagination (ms)</label>
             <ha-textfield id="auto_hide_pagination" type="number" value="${this._config.auto_hide_pagination || 0}"></ha-textfield>
@@ -939,19 +3677,46 @@ class SwipeCardLiteEditor extends HTMLElement {
             <label>State entity</label>
             <div id="state_entity_container"></div>
           </div>
-          <div class="hint">Sync current slide with an input_number entity</div>
+          <div class="hint">Sync current slide with an input_number, input_select, select, counter or input_text entity</div>
 
           <div class="row" style="margin-top: 8px;">
             <label>Reset timeout (ms)</label>
             <ha-textfield id="reset_after_timeout" type="number" value="${this._config.enable_reset_after ? (this._config.reset_after_timeout || 30000) : 0}"></ha-textfield>
           </div>
-          <div class="hint">0 = disabled. Returns to first slide after timeout</div>
+          <div class="hint">0 = disabled. Returns to the reset slide after timeout</div>
+
+          <div class="row">
+            <label>Reset slide</label>
+            <div id="reset_target_card_container"></div>
+          </div>
 
           <div class="row" style="margin-top: 8px;">
             <label>Auto-reset toggle entity</label>
             <div id="auto_reset_entity_container"></div>
           </div>
           <div class="hint">Entity to enable/disable auto-reset</div>
+
+          <div class="row" style="margin-top: 8px;">
+            <label>Autoplay interval (ms)</label>
+            <ha-textfield id="autoplay_interval" type="number" value="${this._config.autoplay ? (this._config.autoplay_interval || 5000) : 0}"></ha-textfield>
+          </div>
+          <div class="hint">0 = disabled</div>
+
+          <div class="row">
+            <label>Autoplay direction</label>
+            <div id="autoplay_direction_container"></div>
+          </div>
+
+          <div class="row">
+            <label>Pause while touched or hovered</label>
+            <ha-switch id="autoplay_pause_on_interaction" ${this._config.autoplay_pause_on_interaction !== false ? 'checked' : ''}></ha-switch>
+          </div>
+
+          <div class="row" style="margin-top: 8px;">
+            <label>Autoplay toggle entity</label>
+            <div id="autoplay_entity_container"></div>
+          </div>
+          <div class="hint">Entity to enable/disable autoplay</div>
         </div>
 
         <!-- Layout Section -->
@@ -962,6 +3727,29 @@ class SwipeCardLiteEditor extends HTMLElement {
           </div>
 
           <div class="row">
+            <label>Vertical direction</label>
+            <ha-switch id="direction" ${this._config.direction === 'vertical' ? 'checked' : ''}></ha-switch>
+          </div>
+          <div class="hint">Stack slides top to bottom (slide height sets the viewport height)</div>
+
+          <div class="row" style="margin-top: 8px;">
+            <label>Effect</label>
+            <div id="effect_container"></div>
+          </div>
+          <div class="hint">Coverflow looks best with a slide width below 100%</div>
+
+          <div class="row" style="margin-top: 8px;">
+            <label>Slides per view</label>
+            <ha-textfield id="slides_per_view" type="number" min="1" value="${this._config.slides_per_view || 1}"></ha-textfield>
+          </div>
+
+          <div class="row">
+            <label>Slides per swipe</label>
+            <ha-textfield id="slides_per_group" type="number" min="1" value="${this._config.slides_per_group || 1}"></ha-textfield>
+          </div>
+          <div class="hint">Use breakpoints in YAML to vary these with the card width</div>
+
+          <div class="row" style="margin-top: 8px;">
             <label>Slide width</label>
             <ha-textfield id="slide_width" value="${this._config.slide_width || ''}" placeholder="100%"></ha-textfield>
           </div>
@@ -970,6 +3758,7 @@ class SwipeCardLiteEditor extends HTMLElement {
             <label>Slide height</label>
             <ha-textfield id="slide_height" value="${this._config.slide_height || ''}" placeholder="auto"></ha-textfield>
           </div>
+          <div class="hint">In a sections view with a fixed number of rows, slides fill the card and percentages are relative to it</div>
 
           <div class="row">
             <label>Slide padding</label>
@@ -986,14 +3775,26 @@ class SwipeCardLiteEditor extends HTMLElement {
             <ha-textfield id="border_radius" value="${this._config.border_radius || ''}" placeholder="0"></ha-textfield>
           </div>
         </div>
+
+        <!-- Advanced Section -->
+        <div class="section">
+          <div class="section-title">
+            <ha-icon icon="mdi:cog-outline"></ha-icon>
+            Advanced
+          </div>
+          <div id="advanced_container"></div>
+        </div>
       </div>
     `;
 
     this._attachEventListeners();
+    this._attachYamlEditor();
+    this._attachCardPicker();
+    this._updateIssues();
 
-    // Set hass on entity pickers after rendering
+    // Set hass on form fields after rendering
     if (this._hass) {
-      this._updateEntityPickers();
+      this._updateFormFields();
     }
   }
 
@@ -1002,6 +3803,18 @@ class SwipeCardLiteEditor extends HTMLElement {
     this.querySelector('#add-card')?.addEventListener('click', () => {
       this._addCard();
     });
+    this.querySelector('#cancel-add-card')?.addEventListener('click', () => {
+      this._pickerOpen = false;
+      this._render();
+    });
+
+    this.querySelectorAll('.slide-tab').forEach(tab => {
+      tab.addEventListener('click', () => this._selectSlide(parseInt(tab.dataset.index)));
+    });
+
+    this.querySelectorAll('.drag-handle').forEach(handle => {
+      handle.addEventListener('pointerdown', (e) => this._startCardDrag(e, handle));
+    });
 
     // Card actions
     this.querySelectorAll('[data-action]').forEach(el => {
@@ -1011,32 +3824,51 @@ class SwipeCardLiteEditor extends HTMLElement {
 
         if (action === 'edit') {
           this._openCardEditor(index);
-        } else if (action === 'delete') {
-          const cards = [...(this._config.cards || [])];
-          cards.splice(index, 1);
-          this._config = { ...this._config, cards };
-          this._fireConfigChanged();
+        } else if (action === 'yaml') {
+          this._yamlIndex = this._yamlIndex === index ? null : index;
           this._render();
-        } else if (action === 'move-up' && index > 0) {
+          this._selectSlide(index);
+        } else if (action === 'duplicate') {
           const cards = [...(this._config.cards || [])];
-          [cards[index - 1], cards[index]] = [cards[index], cards[index - 1]];
-          this._config = { ...this._config, cards };
+          const copy = structuredClone(cards[index]);
+          // Slide ids must stay unique for deep links and the state entity
+          delete copy.id;
+          cards.splice(index + 1, 0, copy);
+          this._yamlIndex = null;
+          this._config = this._remapSlideNumbers({ ...this._config, cards }, i => (i > index ? i + 1 : i));
           this._fireConfigChanged();
           this._render();
-        } else if (action === 'move-down' && index < (this._config.cards?.length || 0) - 1) {
+          this._selectSlide(index + 1);
+        } else if (action === 'delete') {
           const cards = [...(this._config.cards || [])];
-          [cards[index], cards[index + 1]] = [cards[index + 1], cards[index]];
-          this._config = { ...this._config, cards };
+          cards.splice(index, 1);
+          this._yamlIndex = null;
+          this._config = this._remapSlideNumbers({ ...this._config, cards }, i => (i === index ? -1 : i > index ? i - 1 : i));
           this._fireConfigChanged();
           this._render();
+          // The preview moves on to the slide that took its place
+          if (this._selectedIndex !== null && cards.length) this._selectSlide(Math.min(this._selectedIndex > index ? this._selectedIndex - 1 : this._selectedIndex, cards.length - 1));
+        } else if (action === 'move-up' && index > 0) {
+          this._moveCard(index, index - 1);
+        } else if (action === 'move-down' && index < (this._config.cards?.length || 0) - 1) {
+          this._moveCard(index, index + 1);
         }
       });
     });
 
     // Behavior settings
-    this.querySelector('#infinite_loop')?.addEventListener('change', (e) => {
-      this._config = { ...this._config, loop_mode: e.target.checked ? 'infinite' : 'none' };
+    this.querySelector('#lazy_load')?.addEventListener('change', (e) => {
+      this._config = { ...this._config, lazy_load: e.target.checked };
       this._fireConfigChanged();
+      // Show or hide the lazy loading options
+      this._render();
+    });
+
+    ['mouse_drag', 'mouse_wheel', 'autoplay_pause_on_interaction'].forEach(key => {
+      this.querySelector(`#${key}`)?.addEventListener('change', (e) => {
+        this._config = { ...this._config, [key]: e.target.checked };
+        this._fireConfigChanged();
+      });
     });
 
     this.querySelector('#show_pagination')?.addEventListener('change', (e) => {
@@ -1044,6 +3876,14 @@ class SwipeCardLiteEditor extends HTMLElement {
       this._fireConfigChanged();
     });
 
+    this.querySelector('#navigation')?.addEventListener('change', (e) => {
+      // Keep custom arrow options when toggling back on
+      const navigation = e.target.checked ? (this._config.navigation || true) : false;
+      this._config = { ...this._config, navigation };
+      this._fireConfigChanged();
+      this._render();
+    });
+
     this.querySelector('#auto_hide_pagination')?.addEventListener('change', (e) => {
       this._config = { ...this._config, auto_hide_pagination: parseInt(e.target.value) || 0 };
       this._fireConfigChanged();
@@ -1059,17 +3899,213 @@ class SwipeCardLiteEditor extends HTMLElement {
       this._fireConfigChanged();
     });
 
+    this.querySelector('#autoplay_interval')?.addEventListener('change', (e) => {
+      const value = parseInt(e.target.value) || 0;
+      this._config = {
+        ...this._config,
+        autoplay: value > 0,
+        autoplay_interval: value > 0 ? value : 5000
+      };
+      this._fireConfigChanged();
+    });
+
     // Layout settings
-    ['slide_width', 'slide_height', 'slide_padding', 'slide_gap', 'border_radius'].forEach(key => {
+    this.querySelector('#direction')?.addEventListener('change', (e) => {
+      this._config = { ...this._config, direction: e.target.checked ? 'vertical' : 'horizontal' };
+      this._fireConfigChanged();
+    });
+
+    ['slides_per_view', 'slides_per_group'].forEach(key => {
+      this.querySelector(`#${key}`)?.addEventListener('change', (e) => {
+        const value = parseInt(e.target.value) || 1;
+        this._config = { ...this._config, [key]: value > 1 ? value : null };
+        this._fireConfigChanged();
+      });
+    });
+
+    // Field → CSS property its value has to be valid for
+    const cssFields = {
+      slide_width: 'width',
+      slide_height: 'height',
+      slide_padding: 'padding',
+      slide_gap: 'gap',
+      border_radius: 'border-radius',
+      pagination_color: 'color',
+      pagination_active_color: 'color',
+      pagination_size: 'width'
+    };
+    Object.entries(cssFields).forEach(([key, property]) => {
       this.querySelector(`#${key}`)?.addEventListener('change', (e) => {
-        this._config = { ...this._config, [key]: e.target.value.trim() || null };
+        const value = e.target.value.trim();
+        const valid = this._isValidCss(property, value);
+        e.target.invalid = !valid;
+        e.target.validationMessage = valid ? '' : `Not a valid ${property}`;
+        if (!valid) return;
+        this._config = { ...this._config, [key]: value || null };
         this._fireConfigChanged();
       });
     });
   }
 
+  _moveCard(from, to) {
+    const cards = [...(this._config.cards || [])];
+    const [card] = cards.splice(from, 1);
+    cards.splice(to, 0, card);
+    this._yamlIndex = null;
+    this._config = this._remapSlideNumbers({ ...this._config, cards }, (i) => {
+      if (i === from) return to;
+      if (from < to && i > from && i <= to) return i - 1;
+      if (from > to && i >= to && i < from) return i + 1;
+      return i;
+    });
+    this._fireConfigChanged();
+    this._render();
+    this._selectSlide(to);
+  }
+
+  // Keep start_card and reset_target_card on their slide. newIndex maps an old 0-based
+  // position to the new one, -1 drops the option when its slide was deleted
+  _remapSlideNumbers(config, newIndex) {
+    ['start_card', 'reset_target_card'].forEach(key => {
+      if (!Number.isInteger(config[key])) return;
+      const index = newIndex(config[key] - 1);
+      if (index === -1) {
+        delete config[key];
+      } else {
+        config[key] = index + 1;
+      }
+    });
+    return config;
+  }
+
+  // Tell the preview which slide to show, and mark it here
+  _selectSlide(index) {
+    this._selectedIndex = index;
+    window.dispatchEvent(new CustomEvent(EDITOR_SLIDE_EVENT, {
+      detail: { index, editor: this, config: JSON.stringify(this._config) }
+    }));
+    this.querySelectorAll('.slide-tab').forEach(tab => {
+      const selected = parseInt(tab.dataset.index) === index;
+      tab.classList.toggle('selected', selected);
+      tab.setAttribute('aria-selected', String(selected));
+    });
+    this.querySelectorAll('#cards-list .card-item').forEach(item => {
+      item.classList.toggle('selected', parseInt(item.dataset.index) === index);
+    });
+  }
+
+  // Reorder by dragging the handle, pointer events cover mouse and touch alike
+  _startCardDrag(e, handle) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+
+    const item = handle.closest('.card-item');
+    const from = parseInt(item.dataset.index);
+    const others = [...this.querySelectorAll('#cards-list .card-item')].filter(other => other !== item);
+    const startY = e.clientY;
+    let to = from;
+
+    handle.setPointerCapture(e.pointerId);
+    item.classList.add('dragging');
+
+    const onMove = (event) => {
+      item.style.transform = `translateY(${event.clientY - startY}px)`;
+      // Drop after every other item whose middle is above the pointer
+      to = others.filter(other => {
+        const rect = other.getBoundingClientRect();
+        return rect.top + rect.height / 2 < event.clientY;
+      }).length;
+      others.forEach((other, i) => {
+        other.classList.toggle('drop-before', to !== from && i === to);
+        other.classList.toggle('drop-after', to !== from && to === others.length && i === others.length - 1);
+      });
+    };
+    const onEnd = (event) => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onEnd);
+      handle.removeEventListener('pointercancel', onEnd);
+      item.classList.remove('dragging');
+      item.style.transform = '';
+      others.forEach(other => other.classList.remove('drop-before', 'drop-after'));
+      if (event.type === 'pointerup' && to !== from) this._moveCard(from, to);
+    };
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onEnd);
+    handle.addEventListener('pointercancel', onEnd);
+  }
+
+  // Inline YAML for the expanded slide, applied whenever it parses to a card config
+  _attachYamlEditor() {
+    const container = this.querySelector('.card-yaml');
+    if (!container) return;
+
+    const index = parseInt(container.dataset.index);
+    const error = this.querySelector('.yaml-error');
+    const editor = document.createElement('ha-yaml-editor');
+    editor.hass = this._hass;
+    editor.defaultValue = this._config.cards?.[index];
+    editor.addEventListener('value-changed', (e) => {
+      // Only config-changed should leave the editor
+      e.stopPropagation();
+      const { value, isValid } = e.detail;
+      const isCard = isValid && value && typeof value === 'object' && !Array.isArray(value) && typeof value.type === 'string';
+      if (error) error.textContent = isCard ? '' : (isValid ? 'A card needs a type' : 'Invalid YAML');
+      if (!isCard) return;
+
+      const cards = [...(this._config.cards || [])];
+      cards[index] = value;
+      this._config = { ...this._config, cards };
+      this._fireConfigChanged();
+      // Keep the editor as is while typing, only refresh the slide name
+      const name = this.querySelector(`.card-item[data-index="${index}"] .card-type`);
+      if (name) name.textContent = this._getCardTypeName(value);
+    });
+    container.appendChild(editor);
+  }
+
+  // HA's own card type picker, with previews and custom cards
+  async _attachCardPicker() {
+    const container = this.querySelector('#card-picker');
+    if (!container) return;
+
+    const available = await this._loadCardPicker();
+    if (!container.isConnected) return;
+    if (!available) {
+      // Older frontends: fall back to a markdown card
+      this._pickerOpen = false;
+      this._insertCard({ type: 'markdown', content: 'New card' });
+      return;
+    }
+
+    const picker = document.createElement('hui-card-picker');
+    picker.hass = this._hass;
+    picker.lovelace = this._lovelace;
+    picker.addEventListener('config-changed', (e) => {
+      // The picked card, not our config
+      e.stopPropagation();
+      if (!e.detail?.config) return;
+      this._pickerOpen = false;
+      this._insertCard(e.detail.config);
+    });
+    container.appendChild(picker);
+  }
+
+  // hui-card-picker comes with the stack card editor, which may not be loaded yet
+  async _loadCardPicker() {
+    if (customElements.get('hui-card-picker')) return true;
+    try {
+      const helpers = await window.loadCardHelpers();
+      const stack = await helpers.createCardElement({ type: 'vertical-stack', cards: [] });
+      await stack.constructor.getConfigElement();
+    } catch (e) {
+      console.warn('[swipe-card-lite] Card picker unavailable:', e);
+    }
+    return !!customElements.get('hui-card-picker');
+  }
+
   async _openCardEditor(index) {
     const cardConfig = this._config.cards?.[index];
+    this._selectSlide(index);
     const homeAssistant = document.querySelector('home-assistant');
 
     if (!this._hass || !homeAssistant) {
@@ -1111,16 +4147,40 @@ class SwipeCardLiteEditor extends HTMLElement {
     }
   }
 
-  async _addCard() {
-    const newCard = { type: 'markdown', content: 'New card' };
+  _addCard() {
+    this._pickerOpen = true;
+    this._render();
+  }
+
+  _insertCard(newCard) {
     const newCards = [...(this._config.cards || []), newCard];
     this._config = { ...this._config, cards: newCards };
     this._fireConfigChanged();
     this._render();
+    this._selectSlide(newCards.length - 1);
     setTimeout(() => this._openCardEditor(newCards.length - 1), 100);
   }
 
+  // Invalid values (the preview shows an error card) and unknown or deprecated keys
+  _updateIssues() {
+    const container = this.querySelector('#config-issues');
+    if (!container) return;
+    const { errors, warnings } = SwipeCardLite.validateConfig(this._config);
+    container.replaceChildren(...[
+      ...errors.map(message => ['error', message]),
+      ...warnings.map(message => ['warning', message])
+    ].map(([type, message]) => {
+      const alert = document.createElement('ha-alert');
+      alert.setAttribute('alert-type', type);
+      alert.textContent = message;
+      return alert;
+    }));
+    container.style.display = container.childElementCount ? 'flex' : 'none';
+  }
+
   _fireConfigChanged() {
+    this._updateIssues();
+    this._firedConfig = JSON.stringify(this._config);
     this.dispatchEvent(new CustomEvent('config-changed', {
       detail: { config: this._config },
       bubbles: true,